@@ -0,0 +1,152 @@
+// Import the report formats from outputs.js
+var outputs = require('./outputs.js');
+
+// Options that take a value (e.g. --start 2018-12-01 or --start=2018-12-01)
+const VALUE_OPTIONS = [
+    "start",
+    "end",
+    "period",
+    "config",
+    "aliases",
+    "roster",
+    "owner",
+    "repos",
+    "output-dir",
+    "format",
+    "granularity",
+    "stale-days",
+    "old-days",
+    "top",
+    "concurrency",
+    "snapshot-dir",
+    "from-snapshot"
+];
+
+// Options that are flags and do not take a value (e.g. --dry-run)
+const FLAG_OPTIONS = [
+    "no-snapshot",
+    "full-fetch",
+    "compare-previous",
+    "leaderboard",
+    "funnel",
+    "dry-run",
+    "help"
+];
+
+
+/**
+ * Converts a dashed option name to camel case (e.g. "output-dir" to "outputDir").
+ *
+ * @param {String} name dashed option name
+ *
+ * @return {String} camel case option name
+ */
+function toCamelCase(name) {
+    return name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+/**
+ * Parses the command line arguments into named options
+ * and positional arguments.
+ *
+ * Throws an error with a message for the user if an option
+ * is unknown or is missing its value.
+ *
+ * @param {Array} args command line arguments (without the paths to node and the script)
+ *
+ * @return {JSON} the named options (in camel case) and a list of positional arguments
+ */
+function parseCommandLineArguments(args) {
+    var options = {};
+    var positional = [];
+
+    for (var i = 0; i < args.length; i++) {
+        var arg = args[i];
+
+        if (!arg.startsWith("--")) {
+            positional.push(arg);
+            continue;
+        }
+
+        // Split --name=value into its name and value
+        var name = arg.slice(2);
+        var value = undefined;
+        var equalsIndex = name.indexOf("=");
+        if (equalsIndex !== -1) {
+            value = name.slice(equalsIndex + 1);
+            name = name.slice(0, equalsIndex);
+        }
+
+        if (FLAG_OPTIONS.includes(name)) {
+            if (value !== undefined) {
+                throw new Error("Invalid inputs - the --" + name + " option does not take a value.");
+            }
+            options[toCamelCase(name)] = true;
+        } else if (VALUE_OPTIONS.includes(name)) {
+            // Take the value from the next argument if it wasn't given as --name=value
+            if (value === undefined) {
+                if (i + 1 >= args.length || args[i + 1].startsWith("--")) {
+                    throw new Error("Invalid inputs - please provide a value for the --" + name + " option.");
+                }
+                value = args[++i];
+            }
+            options[toCamelCase(name)] = value;
+        } else {
+            throw new Error("Invalid inputs - unknown option --" + name + ".");
+        }
+    }
+
+    return {
+        options: options,
+        positional: positional
+    };
+}
+
+/**
+ * Logs the usage of the script and a description of each option.
+ */
+function logUsage() {
+    console.log("Usage: node index.js <START DATE> <END DATE> [options]");
+    console.log("   or: node index.js --start <START DATE> --end <END DATE> [options]");
+    console.log("   or: node index.js <PERIOD> [options]");
+    console.log();
+    console.log("Dates are in the format YYYY-MM-DD (midnight UTC). A period is one of:");
+    console.log("  YYYY-MM, YYYY-Qn                      a calendar month or quarter (e.g. 2024-07, 2024-Q3)");
+    console.log("  FYYYYY, FYYYYY-Qn                     a federal fiscal year or quarter (e.g. FY2025, FY2025-Q1)");
+    console.log("  last-month, last-quarter,             the last complete calendar month or quarter,");
+    console.log("  last-fiscal-quarter, last-fiscal-year or fiscal quarter or year");
+    console.log("  last-N-days                           the last N days, including today (e.g. last-30-days)");
+    console.log("  ytd, fytd                             the calendar or fiscal year to date");
+    console.log();
+    console.log("Options:");
+    console.log("  --start <date>          start of the time period to query");
+    console.log("  --end <date>            end of the time period to query");
+    console.log("  --period <period>       time period to query instead of a start and end date");
+    console.log("  --config <path>         config file to use (default: config.json)");
+    console.log("  --aliases <path>        alias file mapping several logins and emails to one person");
+    console.log("  --roster <path>         roster file of the team members (with dates) and teams, who are internal");
+    console.log("  --owner <owner>         only report on this owner (discovers its repos if it is not in the config)");
+    console.log("  --repos <a,b,...>       comma separated list of repos to report on instead of the config's repoList");
+    console.log("  --output-dir <path>     folder to write the report to (default: reports)");
+    console.log("  --format <formats>      comma separated list of report formats (" + outputs.FORMATS.join(", ") + "; default: csv)");
+    console.log("  --granularity <unit>    also write a trend report with a row per week, month or quarter of the time period");
+    console.log("  --compare-previous      add the change in the period metrics since the previous period of the same length");
+    console.log("  --leaderboard           also write a leaderboard of each contributor's activity during the period and of all time");
+    console.log("  --funnel                also write a funnel of the new, returning and repeat external contributors per period (needs --granularity)");
+    console.log("  --stale-days <days>     days without activity before an open issue is stale (default: 14)");
+    console.log("  --old-days <days>       days open before an open issue is old (default: 120)");
+    console.log("  --top <n>               how many of the most active repos the md report lists (default: 10)");
+    console.log("  --concurrency <n>       how many requests are sent to GitHub at the same time (default: 4)");
+    console.log("  --snapshot-dir <path>   folder snapshots of the raw GitHub data are saved in (default: snapshots)");
+    console.log("  --no-snapshot           don't save a snapshot of the raw GitHub data");
+    console.log("  --full-fetch            query all issues and pull requests instead of only those updated since the last snapshot");
+    console.log("  --from-snapshot <name>  regenerate the report from a snapshot (latest, a date or a folder) instead of querying GitHub");
+    console.log("  --dry-run               list the repos and report that would be written without querying them");
+    console.log("  --help                  show this message");
+}
+
+// Export these functions so they can be used in index.js
+module.exports = {
+    parseCommandLineArguments,
+    logUsage
+};
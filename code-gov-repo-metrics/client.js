@@ -0,0 +1,259 @@
+// Use graphql-request package to make requests to the GitHub GraphQL API
+const { GraphQLClient } = require('graphql-request');
+
+// Import utils functions from utils.js
+var utils = require('./utils.js');
+
+const ENDPOINT = 'https://api.github.com/graphql';
+
+// How many times a request is retried before giving up
+const MAX_RETRIES = 5;
+
+// How long to wait before the first retry (doubled for every retry after that)
+const BASE_RETRY_DELAY_MS = 2000;
+
+// How long to wait after hitting a secondary rate limit if GitHub doesn't say how long to wait
+const SECONDARY_RATE_LIMIT_DELAY_MS = 60000;
+
+// How many requests are sent at the same time by default
+const DEFAULT_CONCURRENCY = 4;
+
+// The GraphQL client, created on the first request
+var graphQLClient;
+
+// Queue of requests waiting for one of the concurrent request slots
+var concurrency = DEFAULT_CONCURRENCY;
+var activeRequests = 0;
+var waitingRequests = [];
+
+// Running totals for the cost summary at the end of the run
+var requestCount = 0;
+var retryCount = 0;
+var totalCost = 0;
+
+// The most recent rateLimit block returned by GitHub
+var lastRateLimit;
+
+// No requests are sent before this time (in milliseconds) while waiting for a rate limit to reset
+var pausedUntil = 0;
+
+/**
+ * Gets the GraphQL client, creating it on the first call.
+ *
+ * @return {GraphQLClient} client authorized with the GitHub Personal Access Token from .env
+ */
+function getGraphQLClient() {
+    if (!graphQLClient) {
+        graphQLClient = new GraphQLClient(ENDPOINT, {
+            headers: {
+                authorization: 'Bearer ' + process.env.GITHUB_PERSONAL_ACCESS_TOKEN,
+            },
+        });
+    }
+    return graphQLClient;
+}
+
+/**
+ * Sets how many requests can be sent to GitHub at the same time.
+ *
+ * @param {Number} limit maximum number of concurrent requests
+ */
+function setConcurrency(limit) {
+    concurrency = limit;
+}
+
+/**
+ * Waits for one of the concurrent request slots to be free and takes it.
+ *
+ * Requests for further pages of a repo's issues or pull requests go to the
+ * front of the queue, so repos that were started are finished first.
+ *
+ * @param {Boolean} isNextPage is the request for a further page of results?
+ */
+async function acquireSlot(isNextPage) {
+    if (activeRequests < concurrency) {
+        activeRequests += 1;
+        return;
+    }
+
+    // The slot is handed over directly by releaseSlot, so activeRequests stays the same
+    await new Promise(function(resolve) {
+        if (isNextPage) {
+            waitingRequests.unshift(resolve);
+        } else {
+            waitingRequests.push(resolve);
+        }
+    });
+}
+
+/**
+ * Frees a request slot, handing it to the next request in the queue if there is one.
+ */
+function releaseSlot() {
+    var next = waitingRequests.shift();
+    if (next) {
+        next();
+    } else {
+        activeRequests -= 1;
+    }
+}
+
+/**
+ * Pauses all requests until a date, unless they are already paused for longer.
+ *
+ * @param {Date} date date to pause requests until
+ */
+function pauseUntil(date) {
+    pausedUntil = Math.max(pausedUntil, date.getTime());
+}
+
+/**
+ * Records the rateLimit block of a response. If the remaining points
+ * wouldn't cover another request like it, requests are paused until
+ * the rate limit resets.
+ *
+ * @param {JSON} rateLimit rateLimit block from GitHub API ({cost, remaining, resetAt})
+ */
+function recordRateLimit(rateLimit) {
+    if (!rateLimit) {
+        return;
+    }
+
+    totalCost += rateLimit.cost;
+    lastRateLimit = rateLimit;
+
+    if (rateLimit.remaining < rateLimit.cost) {
+        console.log("GitHub API rate limit is almost used up (" + rateLimit.remaining + " points left), waiting until it resets at " + rateLimit.resetAt);
+        pauseUntil(new Date(rateLimit.resetAt));
+    }
+}
+
+/**
+ * Reads a header from an error's response.
+ *
+ * @param {Error} error error thrown by graphql-request
+ * @param {String} name name of the header
+ *
+ * @return {String} value of the header, or null if it isn't there
+ */
+function getErrorHeader(error, name) {
+    var headers = error.response && error.response.headers;
+    return headers && typeof headers.get === 'function' ? headers.get(name) : null;
+}
+
+/**
+ * Describes an error thrown by graphql-request in a short message
+ * (its full message includes the whole query).
+ *
+ * @param {Error} error error thrown by graphql-request
+ *
+ * @return {String} short description of the error
+ */
+function describeError(error) {
+    if (!error.response) {
+        return error.message;
+    }
+    if (error.response.errors && error.response.errors.length > 0) {
+        return error.response.errors[0].message;
+    }
+    return "HTTP status " + error.response.status;
+}
+
+/**
+ * Determines how long to wait before retrying a failed request,
+ * or if it shouldn't be retried at all.
+ *
+ * Requests are retried when the primary rate limit is used up (until it
+ * resets), when a secondary rate limit is hit (for as long as GitHub asks,
+ * or a minute), and on server and network errors (with exponential backoff).
+ *
+ * @param {Error} error error thrown by graphql-request
+ * @param {Number} attempt number of the attempt that failed (starting at 0)
+ *
+ * @return {Number} milliseconds to wait before retrying, or -1 to not retry
+ */
+function getRetryDelay(error, attempt) {
+    var status = error.response ? error.response.status : undefined;
+    var errors = (error.response && error.response.errors) || [];
+    var backoff = BASE_RETRY_DELAY_MS * Math.pow(2, attempt);
+
+    // The primary rate limit is used up, so wait until it resets
+    if (errors.some(graphQLError => graphQLError.type === 'RATE_LIMITED') || getErrorHeader(error, 'x-ratelimit-remaining') === '0') {
+        var reset = getErrorHeader(error, 'x-ratelimit-reset');
+        var resetAt = reset ? Number(reset) * 1000 : (lastRateLimit ? new Date(lastRateLimit.resetAt).getTime() : Date.now() + backoff);
+        return Math.max(resetAt - Date.now(), 0) + 1000;
+    }
+
+    // A secondary rate limit was hit, so wait as long as GitHub asks
+    if ((status === 403 || status === 429) && /secondary rate limit|abuse/i.test(error.message)) {
+        var retryAfter = getErrorHeader(error, 'retry-after');
+        return retryAfter ? Number(retryAfter) * 1000 : Math.max(SECONDARY_RATE_LIMIT_DELAY_MS, backoff);
+    }
+
+    // Server errors (e.g. 502 when a query times out) and network errors are worth retrying
+    if (status >= 500 || (status === undefined && !error.response)) {
+        return backoff;
+    }
+
+    return -1;
+}
+
+/**
+ * Sends a query to the GitHub GraphQL API and returns the resulting data.
+ *
+ * Requests share a queue that limits how many are sent at the same time.
+ * Waits for the rate limit to reset when it is used up, and retries
+ * rate limited requests and server errors with exponential backoff.
+ *
+ * @param {String} query GraphQL query from queries.js
+ * @param {JSON} variables query variables
+ * @param {Boolean} isNextPage is the request for a further page of results? (optional)
+ *
+ * @return {JSON} the data returned by the query
+ */
+async function request(query, variables, isNextPage) {
+    for (var attempt = 0; ; attempt++) {
+        // Wait while requests are paused for the rate limit to reset
+        if (pausedUntil > Date.now()) {
+            await utils.sleep(pausedUntil - Date.now());
+        }
+
+        await acquireSlot(isNextPage || attempt > 0);
+        try {
+            requestCount += 1;
+            const response = await getGraphQLClient().rawRequest(query, variables);
+            recordRateLimit(response.data.rateLimit);
+            return response.data;
+        } catch (error) {
+            var delay = getRetryDelay(error, attempt);
+            if (delay < 0 || attempt >= MAX_RETRIES) {
+                throw error;
+            }
+
+            retryCount += 1;
+            console.log("GitHub API request failed (" + describeError(error) + "), retrying in " + Math.round(delay / 1000) + " seconds ...");
+            pauseUntil(new Date(Date.now() + delay));
+        } finally {
+            releaseSlot();
+        }
+    }
+}
+
+/**
+ * Logs how many requests were made and the total query cost of the run.
+ */
+function logCostSummary() {
+    console.log("GitHub API usage: " + requestCount + " requests (" + retryCount + " retried), total query cost of " + totalCost + " points");
+    if (lastRateLimit) {
+        console.log("GitHub API rate limit: " + lastRateLimit.remaining + " points remaining, resets at " + lastRateLimit.resetAt);
+    }
+}
+
+// Export these functions so they can be used in index.js
+module.exports = {
+    DEFAULT_CONCURRENCY,
+    setConcurrency,
+    request,
+    describeError,
+    logCostSummary
+};
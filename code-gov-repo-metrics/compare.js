@@ -0,0 +1,152 @@
+/**
+ * Compares the period metrics of the report with the immediately
+ * preceding time period (e.g. February for a March report, or the 30
+ * days before a 30 day time period), adding the absolute and percent
+ * change of each metric and flagging significant swings.
+ */
+
+// Import utils functions from utils.js
+var utils = require('./utils.js');
+
+// Import the metric registry from metrics.js to find the metrics whose swings are flagged
+var metrics = require('./metrics.js');
+
+// A swing is significant if the metric changed by at least this fraction of its previous value (50%) ...
+const SIGNIFICANT_PERCENT_CHANGE = 0.5;
+
+// ... and by at least this much, so small numbers going from 1 to 2 aren't flagged
+const SIGNIFICANT_ABSOLUTE_CHANGE = 5;
+
+/**
+ * Counts the whole calendar months from the start of a time period to
+ * its end, if both are midnight UTC on the first day of a month (e.g. 1
+ * for a month, 3 for a quarter and 12 for a fiscal year).
+ *
+ * @param {Date} startDate start of the time period
+ * @param {Date} endDate end of the time period
+ *
+ * @return {Number} number of months, or 0 if the time period isn't made of whole months
+ */
+function countWholeMonths(startDate, endDate) {
+    var isStartOfMonth = date => date.getUTCDate() === 1 && date.getTime() % (24 * 60 * 60 * 1000) === 0;
+    if (!isStartOfMonth(startDate) || !isStartOfMonth(endDate)) {
+        return 0;
+    }
+    return Math.max(0, (endDate.getUTCFullYear() - startDate.getUTCFullYear()) * 12 + endDate.getUTCMonth() - startDate.getUTCMonth());
+}
+
+/**
+ * Calculates the time period right before a time period. A time period of
+ * whole calendar months (e.g. a month, quarter or fiscal year) is compared
+ * with the same number of months before it, and any other time period
+ * with the time period of the same length right before it.
+ *
+ * @param {Date} startDate start of the time period
+ * @param {Date} endDate end of the time period
+ *
+ * @return {JSON} the previous period's start and end
+ */
+function getPreviousPeriod(startDate, endDate) {
+    var months = countWholeMonths(startDate, endDate);
+    return {
+        start: months > 0
+            ? new Date(Date.UTC(startDate.getUTCFullYear(), startDate.getUTCMonth() - months, 1))
+            : new Date(startDate.getTime() - (endDate - startDate)),
+        end: startDate
+    };
+}
+
+/**
+ * Gets the number of a metric's value, including percents (e.g. "45%").
+ *
+ * @param {Number|String} value value of the metric
+ *
+ * @return {Number} the number, or undefined if the value isn't one (e.g. "N/A")
+ */
+function getNumber(value) {
+    if (typeof value === "number") {
+        return value;
+    }
+    if (typeof value === "string" && /^-?\d+(\.\d+)?%$/.test(value)) {
+        return parseFloat(value);
+    }
+    return undefined;
+}
+
+/**
+ * Formats a number with a sign, so increases stand out (e.g. "+5").
+ *
+ * @param {Number} number number to format
+ *
+ * @return {String} the number with a sign
+ */
+function formatSigned(number) {
+    return (number > 0 ? "+" : "") + number;
+}
+
+/**
+ * Makes the column ids, headings and units for the change in each
+ * period metric, followed by the significant changes.
+ *
+ * @param {Array} periodHeader list of {id, title, unit} objects for the period metrics
+ *
+ * @return {Array} list of {id, title, unit} objects
+ */
+function getComparisonHeader(periodHeader) {
+    return utils.concatenateLists(periodHeader.map(column => [
+        {id: column.id + 'Change', title: column.title + ' - Change', unit: column.unit},
+        {id: column.id + 'PercentChange', title: column.title + ' - % Change', unit: 'percent'}
+    ])).concat([
+        {id: 'significantChanges', title: 'Significant Changes', unit: 'text'}
+    ]);
+}
+
+/**
+ * Adds the change in each period metric since the previous period to the
+ * report rows. The metrics marked with swing in the metric registry
+ * are listed in the significantChanges column when they changed by at
+ * least 50% and at least 5 (e.g. "Issues Opened +12 (+80%)").
+ *
+ * @param {Array} rows report rows for the time period
+ * @param {Array} previousRows report rows for the previous period, in the same order
+ * @param {Array} periodHeader list of {id, title, unit} objects for the period metrics
+ */
+function addComparison(rows, previousRows, periodHeader) {
+    rows.forEach(function(row, index) {
+        var previousRow = previousRows[index];
+        var significantChanges = [];
+
+        periodHeader.forEach(function(column) {
+            // Percents are compared in percentage points
+            var current = getNumber(row[column.id]);
+            var previous = getNumber(previousRow[column.id]);
+
+            // Metrics without a value in either period (e.g. "N/A") can't be compared
+            if (current === undefined || previous === undefined) {
+                row[column.id + 'Change'] = "N/A";
+                row[column.id + 'PercentChange'] = "N/A";
+                return;
+            }
+
+            var change = current - previous;
+            var percentChange = previous === 0 ? "N/A" : formatSigned(Math.round(change / previous * 100)) + "%";
+            row[column.id + 'Change'] = change;
+            row[column.id + 'PercentChange'] = percentChange;
+
+            var metric = metrics.METRICS.find(metric => metric.id === column.id);
+            var isSignificant = Math.abs(change) >= SIGNIFICANT_ABSOLUTE_CHANGE && (previous === 0 || Math.abs(change / previous) >= SIGNIFICANT_PERCENT_CHANGE);
+            if (metric && metric.swing && isSignificant) {
+                significantChanges.push(column.title + " " + formatSigned(change) + (previous === 0 ? "" : " (" + percentChange + ")"));
+            }
+        });
+
+        row.significantChanges = significantChanges.join("; ");
+    });
+}
+
+// Export these functions so they can be used in index.js
+module.exports = {
+    getPreviousPeriod,
+    getComparisonHeader,
+    addComparison
+};
@@ -0,0 +1,285 @@
+/**
+ * Renders the report as a self-contained HTML dashboard with summary
+ * cards, sortable tables and inline SVG charts. The page doesn't load
+ * anything from the network, so it can be opened offline or published
+ * as a static page.
+ */
+
+// Import utils functions from utils.js
+var utils = require('./utils.js');
+
+// Metrics of the total row shown as summary cards at the top of the page
+const SUMMARY_CARDS = [
+    {id: 'stars', title: 'Stars'},
+    {id: 'forks', title: 'Forks'},
+    {id: 'contributorsAllTime', title: 'Contributors (All Time)'},
+    {id: 'contributorsThisPeriod', title: 'Contributors (This Period)'},
+    {id: 'percentStaleIssues', title: '% Stale Issues'},
+    {id: 'openedIssues', title: 'Issues Opened'},
+    {id: 'mergedPullRequests', title: 'Pull Requests Merged'}
+];
+
+// Period metrics shown in the activity charts, with the color of their bars and lines
+const ACTIVITY_METRICS = [
+    {id: 'openedIssues', title: 'Issues Opened', color: '#0071bc'},
+    {id: 'closedIssues', title: 'Issues Closed', color: '#02bfe7'},
+    {id: 'openedPullRequests', title: 'Pull Requests Opened', color: '#e31c3d'},
+    {id: 'mergedPullRequests', title: 'Pull Requests Merged', color: '#2e8540'}
+];
+
+// Width of the charts (in pixels)
+const CHART_WIDTH = 760;
+
+// Styles of the page
+const STYLES = `
+body { font-family: "Source Sans Pro", Helvetica, Arial, sans-serif; color: #212121; margin: 2em auto; max-width: 1200px; padding: 0 1em; }
+h1 { margin-bottom: 0.2em; }
+.period { color: #5b616b; margin-top: 0; }
+.cards { display: flex; flex-wrap: wrap; gap: 1em; margin: 1.5em 0; }
+.card { border: 1px solid #d6d7d9; border-radius: 4px; padding: 1em; min-width: 140px; }
+.card .value { font-size: 2em; font-weight: bold; }
+.card .title { color: #5b616b; }
+.table-wrapper { overflow-x: auto; margin-bottom: 2em; }
+table { border-collapse: collapse; font-size: 0.9em; }
+th, td { border: 1px solid #d6d7d9; padding: 0.3em 0.6em; text-align: right; }
+th { background: #f1f1f1; cursor: pointer; vertical-align: bottom; }
+th[aria-sort="ascending"]::after { content: " \\25B2"; }
+th[aria-sort="descending"]::after { content: " \\25BC"; }
+td.text, th.text { text-align: left; }
+tfoot td { font-weight: bold; background: #f9f9f9; }
+svg text { font-size: 12px; fill: #212121; }
+`;
+
+// Sorts a table by the column whose heading was clicked (clicking again reverses the order).
+// The column is the heading's index within its own row, since there is a table for each column group
+const SORT_SCRIPT = `
+document.querySelectorAll("table.sortable th").forEach(function(heading) {
+    heading.addEventListener("click", function() {
+        var column = heading.cellIndex;
+        var table = heading.closest("table");
+        var body = table.tBodies[0];
+        var ascending = heading.getAttribute("aria-sort") !== "ascending";
+        table.querySelectorAll("th").forEach(function(other) { other.removeAttribute("aria-sort"); });
+        heading.setAttribute("aria-sort", ascending ? "ascending" : "descending");
+        var value = function(row) {
+            var cell = row.cells[column];
+            return cell.hasAttribute("data-sort") ? Number(cell.getAttribute("data-sort")) : cell.textContent.toLowerCase();
+        };
+        Array.from(body.rows).sort(function(a, b) {
+            var valueA = value(a);
+            var valueB = value(b);
+            var order = valueA < valueB ? -1 : (valueA > valueB ? 1 : 0);
+            return ascending ? order : -order;
+        }).forEach(function(row) { body.appendChild(row); });
+    });
+});
+`;
+
+/**
+ * Escapes the characters of a value that have a special meaning in HTML.
+ *
+ * @param {*} value value to escape
+ *
+ * @return {String} the escaped value
+ */
+function escapeHTML(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+/**
+ * Finds the number a value should be sorted by (e.g. 45 for "45%").
+ *
+ * @param {*} value value of a table cell
+ *
+ * @return {Number} number to sort by, or -1 if the value is "N/A"
+ */
+function getSortValue(value) {
+    var number = parseFloat(value);
+    return isNaN(number) ? -1 : number;
+}
+
+/**
+ * Renders a summary card for a metric of the total row.
+ *
+ * @param {JSON} card {id, title} of the metric
+ * @param {JSON} total total row of the report
+ *
+ * @return {String} HTML of the card
+ */
+function renderCard(card, total) {
+    return '<div class="card"><div class="value">' + escapeHTML(total[card.id]) + '</div><div class="title">' + escapeHTML(card.title) + '</div></div>';
+}
+
+/**
+ * Renders a table with a row for each repo, which can be sorted by clicking
+ * on a column heading. The subtotals and total stay at the bottom.
+ *
+ * @param {Array} header list of {id, title, unit} objects for the metric columns
+ * @param {Array} rows report rows
+ *
+ * @return {String} HTML of the table
+ */
+function renderTable(header, rows) {
+    var renderRow = function(row) {
+        var cells = '<td class="text">' + escapeHTML(row.owner) + '</td><td class="text">' + escapeHTML(row.repo) + '</td>';
+        header.forEach(function(column) {
+            // Text columns (e.g. Top Reviewers) are sorted alphabetically
+            if (column.unit === 'text') {
+                cells += '<td class="text">' + escapeHTML(row[column.id]) + '</td>';
+            } else {
+                cells += '<td data-sort="' + getSortValue(row[column.id]) + '">' + escapeHTML(row[column.id]) + '</td>';
+            }
+        });
+        return '<tr>' + cells + '</tr>';
+    };
+
+    var headings = '<th class="text">Owner</th><th class="text">Repo Name</th>' + header.map(column => '<th' + (column.unit === 'text' ? ' class="text"' : '') + '>' + escapeHTML(column.title) + '</th>').join('');
+    return '<div class="table-wrapper"><table class="sortable">' +
+        '<thead><tr>' + headings + '</tr></thead>' +
+        '<tbody>' + rows.filter(row => !utils.isAggregateRow(row)).map(renderRow).join('') + '</tbody>' +
+        '<tfoot>' + rows.filter(row => utils.isAggregateRow(row)).map(renderRow).join('') + '</tfoot>' +
+        '</table></div>';
+}
+
+/**
+ * Renders the legend of the activity charts.
+ *
+ * @return {String} SVG elements of the legend, 20 pixels high
+ */
+function renderLegend() {
+    return ACTIVITY_METRICS.map(function(metric, index) {
+        var x = index * (CHART_WIDTH / ACTIVITY_METRICS.length);
+        return '<rect x="' + x + '" y="4" width="12" height="12" fill="' + metric.color + '"/>' +
+            '<text x="' + (x + 18) + '" y="14">' + escapeHTML(metric.title) + '</text>';
+    }).join('');
+}
+
+/**
+ * Renders a bar chart of the period activity of each repo,
+ * with a bar for each of the activity metrics.
+ *
+ * @param {Array} rows report rows
+ *
+ * @return {String} SVG of the chart
+ */
+function renderActivityBarChart(rows) {
+    const labelWidth = 200;
+    const barHeight = 10;
+    const groupHeight = ACTIVITY_METRICS.length * barHeight + 12;
+    const top = 30;
+
+    var repos = rows.filter(row => !utils.isAggregateRow(row));
+    var max = Math.max(1, ...utils.concatenateLists(repos.map(repo => ACTIVITY_METRICS.map(metric => repo[metric.id]))));
+    var scale = (CHART_WIDTH - labelWidth - 40) / max;
+    var height = top + repos.length * groupHeight;
+
+    var bars = repos.map(function(repo, repoIndex) {
+        var y = top + repoIndex * groupHeight;
+        var group = '<text x="0" y="' + (y + groupHeight / 2) + '">' + escapeHTML(repo.owner + "/" + repo.repo) + '</text>';
+        ACTIVITY_METRICS.forEach(function(metric, metricIndex) {
+            var barY = y + metricIndex * barHeight;
+            var width = repo[metric.id] * scale;
+            group += '<rect x="' + labelWidth + '" y="' + barY + '" width="' + width + '" height="' + (barHeight - 1) + '" fill="' + metric.color + '">' +
+                '<title>' + escapeHTML(metric.title + ": " + repo[metric.id]) + '</title></rect>' +
+                '<text x="' + (labelWidth + width + 4) + '" y="' + (barY + barHeight - 1) + '" font-size="10">' + repo[metric.id] + '</text>';
+        });
+        return group;
+    }).join('');
+
+    return '<svg xmlns="http://www.w3.org/2000/svg" width="' + CHART_WIDTH + '" height="' + height + '" role="img" aria-label="Period activity by repository">' +
+        renderLegend() + bars + '</svg>';
+}
+
+/**
+ * Renders a line chart of the period activity of all repos for each
+ * week/month/quarter, with a line for each of the activity metrics.
+ *
+ * @param {Array} totals the TOTAL row of the trend report for each period, in order
+ *
+ * @return {String} SVG of the chart
+ */
+function renderActivityLineChart(totals) {
+    const height = 300;
+    const left = 40;
+    const top = 30;
+    const bottom = 40;
+    const plotWidth = CHART_WIDTH - left - 10;
+    const plotHeight = height - top - bottom;
+
+    var max = Math.max(1, ...utils.concatenateLists(totals.map(total => ACTIVITY_METRICS.map(metric => total[metric.id]))));
+    var getX = index => left + (totals.length > 1 ? index * plotWidth / (totals.length - 1) : plotWidth / 2);
+    var getY = value => top + plotHeight - value * plotHeight / max;
+
+    // Axis lines with the maximum and half of it, and a label for every period (or every few periods if there are many)
+    var axes = '<line x1="' + left + '" y1="' + getY(0) + '" x2="' + (left + plotWidth) + '" y2="' + getY(0) + '" stroke="#5b616b"/>';
+    [0, max / 2, max].forEach(function(value) {
+        axes += '<line x1="' + left + '" y1="' + getY(value) + '" x2="' + (left + plotWidth) + '" y2="' + getY(value) + '" stroke="#d6d7d9"/>' +
+            '<text x="' + (left - 6) + '" y="' + (getY(value) + 4) + '" text-anchor="end">' + Math.round(value) + '</text>';
+    });
+    var labelEvery = Math.ceil(totals.length / 12);
+    totals.forEach(function(total, index) {
+        if (index % labelEvery === 0) {
+            axes += '<text x="' + getX(index) + '" y="' + (getY(0) + 18) + '" text-anchor="middle">' + escapeHTML(total.period) + '</text>';
+        }
+    });
+
+    var lines = ACTIVITY_METRICS.map(function(metric) {
+        var points = totals.map((total, index) => getX(index) + ',' + getY(total[metric.id])).join(' ');
+        var markers = totals.map(function(total, index) {
+            return '<circle cx="' + getX(index) + '" cy="' + getY(total[metric.id]) + '" r="3" fill="' + metric.color + '">' +
+                '<title>' + escapeHTML(total.period + " - " + metric.title + ": " + total[metric.id]) + '</title></circle>';
+        }).join('');
+        return '<polyline points="' + points + '" fill="none" stroke="' + metric.color + '" stroke-width="2"/>' + markers;
+    }).join('');
+
+    return '<svg xmlns="http://www.w3.org/2000/svg" width="' + CHART_WIDTH + '" height="' + height + '" role="img" aria-label="Period activity over time">' +
+        renderLegend() + axes + lines + '</svg>';
+}
+
+/**
+ * Renders the report as a self-contained HTML page.
+ *
+ * @param {JSON} report the report to render (see outputs.writeReports)
+ *
+ * @return {String} HTML of the page
+ */
+function renderDashboard(report) {
+    var total = report.rows.find(row => utils.isTotalRow(row));
+    var period = report.metadata.period;
+    var periodString = (period.label ? period.label + ": " : "") + utils.formatDate(period.start) + " -> " + utils.formatDate(period.end);
+
+    var sections = '<h2>Period Activity</h2>' + renderActivityBarChart(report.rows);
+    if (report.trendRows) {
+        var totals = report.trendRows.filter(row => utils.isTotalRow(row));
+        sections += '<h2>Period Activity by ' + escapeHTML(report.granularity.charAt(0).toUpperCase() + report.granularity.slice(1)) + '</h2>' + renderActivityLineChart(totals);
+    }
+    report.columnGroups.forEach(function(group) {
+        sections += '<h2>' + escapeHTML(group.title) + '</h2>' + renderTable(group.header, report.rows);
+    });
+
+    return '<!DOCTYPE html>\n' +
+        '<html lang="en">\n' +
+        '<head>\n' +
+        '<meta charset="utf-8">\n' +
+        '<meta name="viewport" content="width=device-width, initial-scale=1">\n' +
+        '<title>Repository Metrics | ' + escapeHTML(periodString) + '</title>\n' +
+        '<style>' + STYLES + '</style>\n' +
+        '</head>\n' +
+        '<body>\n' +
+        '<h1>Repository Metrics</h1>\n' +
+        '<p class="period">' + escapeHTML(periodString) + ' (generated ' + escapeHTML(utils.formatDate(report.metadata.generatedAt)) + ')</p>\n' +
+        '<div class="cards">' + SUMMARY_CARDS.map(card => renderCard(card, total)).join('') + '</div>\n' +
+        sections + '\n' +
+        '<script>' + SORT_SCRIPT + '</script>\n' +
+        '</body>\n' +
+        '</html>\n';
+}
+
+// Export these functions so they can be used in outputs.js
+module.exports = {
+    renderDashboard
+};
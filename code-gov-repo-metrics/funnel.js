@@ -0,0 +1,180 @@
+/**
+ * Follows the external contributors across the repos in the config over
+ * the weeks, months or quarters of the time period, to see whether the
+ * people who contribute for the first time come back:
+ *  - the funnel has a row per period with the new contributors (whose first
+ *    contribution to any of the repos was in that period), the returning
+ *    contributors, and how many of the new contributors contributed again in
+ *    a later period ("repeat") or didn't ("drive-by")
+ *  - the cohort retention table has a row per period with the % of its new
+ *    contributors who contributed again 1, 2, 3, ... periods later
+ *
+ * A contributor's first contribution is found across all of the repos, so
+ * someone who moves from one repo to another isn't counted as new again.
+ * Deleted accounts are all counted under one "ghost" contributor, so they
+ * are left out instead of being followed as if they were one person.
+ */
+
+// Import utils functions from utils.js
+var utils = require('./utils.js');
+
+// Import the contributor that deleted users are counted under from identity.js
+var identity = require('./identity.js');
+
+/**
+ * Makes the column ids, headings and units of the funnel.
+ *
+ * @return {Array} list of {id, title, unit} objects
+ */
+function getFunnelHeader() {
+    return [
+        {id: 'period', title: 'Period', unit: 'text'},
+        {id: 'periodStart', title: 'Period Start', unit: 'date'},
+        {id: 'periodEnd', title: 'Period End', unit: 'date'},
+        {id: 'contributors', title: 'External Contributors', unit: 'count'},
+        {id: 'newContributors', title: 'New Contributors', unit: 'count'},
+        {id: 'returningContributors', title: 'Returning Contributors', unit: 'count'},
+        {id: 'firstTimeContributors', title: 'First Time Contributors (GitHub)', unit: 'count'},
+        {id: 'repeatContributors', title: 'Repeat Contributors', unit: 'count'},
+        {id: 'driveByContributors', title: 'Drive-By Contributors', unit: 'count'},
+        {id: 'percentRepeatContributors', title: '% New Contributors Who Returned', unit: 'percent'}
+    ];
+}
+
+/**
+ * Makes the column ids, headings and units of the cohort retention table,
+ * with a column for each later period of the time period.
+ *
+ * @param {Number} periodCount number of periods in the time period
+ * @param {String} granularity "week", "month" or "quarter"
+ *
+ * @return {Array} list of {id, title, unit} objects
+ */
+function getCohortHeader(periodCount, granularity) {
+    var header = [
+        {id: 'cohort', title: 'Cohort', unit: 'text'},
+        {id: 'newContributors', title: 'New Contributors', unit: 'count'}
+    ];
+    for (var offset = 1; offset < periodCount; offset++) {
+        header.push({id: 'retained' + offset, title: 'After ' + offset + ' ' + granularity + (offset === 1 ? '' : 's'), unit: 'percent'});
+    }
+    return header;
+}
+
+/**
+ * Leaves the deleted accounts (see identity.GHOST) out of a set of contributors.
+ *
+ * @param {Set} contributors contributors
+ *
+ * @return {Set} the contributors other than the deleted accounts
+ */
+function withoutDeletedAccounts(contributors) {
+    return utils.differenceSets(contributors, [identity.GHOST]);
+}
+
+/**
+ * Counts the contributors of a set who are also in another set.
+ *
+ * @param {Set} contributors contributors to count
+ * @param {Set} otherContributors contributors to look for
+ *
+ * @return {Number} number of contributors in both sets
+ */
+function countShared(contributors, otherContributors) {
+    return Array.from(contributors).filter(contributor => otherContributors.has(contributor)).length;
+}
+
+/**
+ * Builds the funnel and the cohort retention table from the external
+ * contributors of each period.
+ *
+ * @param {Array} periodRows TOTAL row of the trend report for each period, in order
+ * @param {Set} earlierContributors external contributors before the time period
+ * @param {String} granularity "week", "month" or "quarter"
+ *
+ * @return {JSON} the funnel's rows and header, and the cohort retention table's rows and header
+ */
+function buildFunnel(periodRows, earlierContributors, granularity) {
+    var periodContributors = periodRows.map(row => withoutDeletedAccounts(row.contributorsListThisPeriodExternal));
+    var periodFirstTimeContributors = periodRows.map(row => withoutDeletedAccounts(row.contributorsListThisPeriodFirstTimeContributor));
+    earlierContributors = withoutDeletedAccounts(earlierContributors);
+
+    // New contributors hadn't contributed before the time period or in an earlier period of it
+    var seen = new Set(earlierContributors);
+    var newContributors = periodContributors.map(function(contributors) {
+        var newInPeriod = new Set(Array.from(contributors).filter(contributor => !seen.has(contributor)));
+        contributors.forEach(contributor => seen.add(contributor));
+        return newInPeriod;
+    });
+
+    // Repeat contributors are new contributors who contributed again in a later period
+    var repeatContributors = newContributors.map(function(contributors, index) {
+        var laterContributors = utils.unionSets(...periodContributors.slice(index + 1));
+        return new Set(Array.from(contributors).filter(contributor => laterContributors.has(contributor)));
+    });
+
+    var rows = periodRows.map(function(row, index) {
+        var repeatCount = repeatContributors[index].size;
+        var newCount = newContributors[index].size;
+        return {
+            period: row.period,
+            periodStart: row.periodStart,
+            periodEnd: row.periodEnd,
+            contributors: periodContributors[index].size,
+            newContributors: newCount,
+            returningContributors: periodContributors[index].size - newCount,
+            firstTimeContributors: periodFirstTimeContributors[index].size,
+            repeatContributors: repeatCount,
+            driveByContributors: newCount - repeatCount,
+            percentRepeatContributors: newCount === 0 ? "N/A" : utils.toPercent(repeatCount / newCount),
+            newContributorsList: newContributors[index],
+            repeatContributorsList: repeatContributors[index]
+        };
+    });
+
+    // The TOTAL row counts each contributor once, and returning contributors are those who contributed before the time period
+    var allContributors = utils.unionSets(...periodContributors);
+    var totalNew = utils.sumList(rows.map(row => row.newContributors));
+    var totalRepeat = utils.sumList(rows.map(row => row.repeatContributors));
+    rows.push({
+        period: 'TOTAL',
+        periodStart: periodRows.length > 0 ? periodRows[0].periodStart : undefined,
+        periodEnd: periodRows.length > 0 ? periodRows[periodRows.length - 1].periodEnd : undefined,
+        contributors: allContributors.size,
+        newContributors: totalNew,
+        returningContributors: countShared(allContributors, earlierContributors),
+        firstTimeContributors: utils.unionSetSize(periodFirstTimeContributors),
+        repeatContributors: totalRepeat,
+        driveByContributors: totalNew - totalRepeat,
+        percentRepeatContributors: totalNew === 0 ? "N/A" : utils.toPercent(totalRepeat / totalNew),
+        newContributorsList: utils.unionSets(...newContributors),
+        repeatContributorsList: utils.unionSets(...repeatContributors)
+    });
+
+    // Retention is N/A for the periods after the end of the time period
+    var cohortRows = periodRows.map(function(row, index) {
+        var cohortRow = {
+            cohort: row.period,
+            newContributors: newContributors[index].size
+        };
+        for (var offset = 1; offset < periodRows.length; offset++) {
+            var laterIndex = index + offset;
+            cohortRow['retained' + offset] = laterIndex >= periodRows.length || newContributors[index].size === 0
+                ? "N/A"
+                : utils.toPercent(countShared(newContributors[index], periodContributors[laterIndex]) / newContributors[index].size);
+        }
+        return cohortRow;
+    });
+
+    return {
+        rows: rows,
+        header: getFunnelHeader(),
+        cohortRows: cohortRows,
+        cohortHeader: getCohortHeader(periodRows.length, granularity)
+    };
+}
+
+// Export these functions so they can be used in index.js
+module.exports = {
+    buildFunnel
+};
@@ -0,0 +1,157 @@
+/**
+ * Resolves who the author of an issue, pull request, review or commit is,
+ * so each person is counted once as a contributor:
+ *  - GitHub users are identified by their node id, so a user who changed
+ *    their login is counted under their most recent login
+ *  - an optional alias file maps several logins and emails to one person
+ *  - issues and pull requests by deleted GitHub users (which have no author)
+ *    are counted under a single "ghost" contributor
+ *
+ * The alias file is a JSON object with the name each person is reported as,
+ * and the list of their logins and commit emails, e.g.
+ * {"jane-doe": ["jdoe-old", "jane.doe@agency.gov"]}
+ */
+
+// Use fs to read the alias file
+const fs = require('fs');
+
+// Import utils functions from utils.js
+var utils = require('./utils.js');
+
+// Contributor that the issues and pull requests of deleted GitHub users are counted under
+const GHOST = "ghost";
+
+/**
+ * Reads an alias file.
+ *
+ * Throws an error with a message for the user if the file
+ * can't be read or isn't in the right form.
+ *
+ * @param {String} filePath path of the alias file
+ *
+ * @return {JSON} the logins and emails of each person, by the name they are reported as
+ */
+function readAliases(filePath) {
+    var aliases = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!aliases || typeof aliases !== "object" || Array.isArray(aliases)) {
+        throw new Error("the alias file must be an object with a list of logins and emails for each person");
+    }
+    Object.keys(aliases).forEach(function(name) {
+        if (!Array.isArray(aliases[name]) || !aliases[name].every(alias => typeof alias === "string")) {
+            throw new Error("the aliases of " + name + " must be a list of logins and emails");
+        }
+    });
+    return aliases;
+}
+
+/**
+ * Makes the identities used to resolve contributors: the most recent
+ * login of each GitHub user (by node id) in the repos' data, the node id
+ * of the user who most recently had each login, and the person each
+ * alias (login or email) belongs to.
+ *
+ * @param {JSON} aliases the logins and emails of each person (see readAliases), or undefined
+ * @param {Array} repos raw data of the repos from GitHub API
+ *
+ * @return {JSON} the identities
+ */
+function createIdentities(aliases, repos) {
+    var identities = {
+        logins: new Map(),
+        ids: new Map(),
+        aliases: new Map()
+    };
+
+    // Find the most recent login of each user (and user of each login), by when the issue, pull request or commit was last updated
+    var loginDates = new Map();
+    var idDates = new Map();
+    var addLogin = function(user, dateString) {
+        if (!user || !user.id) {
+            return;
+        }
+        var date = new Date(dateString);
+        var login = user.login.toLowerCase();
+        if (!loginDates.has(user.id) || date >= loginDates.get(user.id)) {
+            loginDates.set(user.id, date);
+            identities.logins.set(user.id, user.login);
+        }
+        if (!idDates.has(login) || date >= idDates.get(login)) {
+            idDates.set(login, date);
+            identities.ids.set(login, user.id);
+        }
+    };
+    repos.forEach(function(repo) {
+        repo.repository.issues.nodes.concat(repo.repository.pullRequests.nodes).forEach(node => addLogin(node.author, node.updatedAt));
+        var history = utils.getCommitHistory(repo);
+        if (history) {
+            history.nodes.forEach(commit => commit.authors.nodes.forEach(commitAuthor => addLogin(commitAuthor.user, commit.committedDate)));
+        }
+    });
+
+    // Logins and emails are matched case insensitively
+    Object.keys(aliases || {}).forEach(function(name) {
+        aliases[name].forEach(alias => identities.aliases.set(alias.toLowerCase(), name));
+    });
+
+    return identities;
+}
+
+/**
+ * Resolves a GitHub user (e.g. the author of an issue) to the contributor
+ * they are counted as.
+ *
+ * @param {JSON} identities the identities (see createIdentities)
+ * @param {JSON} user user from GitHub API (null for deleted users)
+ *
+ * @return {String} the person's name from the alias file, their most recent login or "ghost"
+ */
+function resolveUser(identities, user) {
+    if (!user || user.login === GHOST) {
+        return GHOST;
+    }
+    var login = (user.id && identities.logins.get(user.id)) || user.login;
+    return identities.aliases.get(login.toLowerCase()) || login;
+}
+
+/**
+ * Resolves a login that doesn't come with a node id (e.g. from the roster)
+ * to the contributor it is counted as. The login is matched to the user
+ * who had it in the repos' data, so an old login of a user who has since
+ * changed it is counted under their most recent login.
+ *
+ * @param {JSON} identities the identities (see createIdentities)
+ * @param {String} login login of a GitHub user
+ *
+ * @return {String} the person's name from the alias file or the user's most recent login
+ */
+function resolveLogin(identities, login) {
+    return resolveUser(identities, {login: login, id: identities.ids.get(login.toLowerCase())});
+}
+
+/**
+ * Resolves the author (or a co-author) of a commit to the contributor
+ * they are counted as. Authors that aren't linked to a GitHub user
+ * are identified by their email.
+ *
+ * @param {JSON} identities the identities (see createIdentities)
+ * @param {JSON} commitAuthor author from a commit's authors
+ *
+ * @return {String} the person's name from the alias file, their most recent login or their email
+ */
+function resolveCommitAuthor(identities, commitAuthor) {
+    if (commitAuthor.user) {
+        return resolveUser(identities, commitAuthor.user);
+    }
+    var email = (commitAuthor.email || commitAuthor.name).toLowerCase();
+    return identities.aliases.get(email) || email;
+}
+
+// Export these functions and constants so they can be used in index.js and metrics.js
+module.exports = {
+    GHOST,
+    readAliases,
+    createIdentities,
+    resolveUser,
+    resolveLogin,
+    resolveCommitAuthor
+};
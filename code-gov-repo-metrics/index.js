@@ -1,11 +1,12 @@
 // Use dotenv package to get GitHub Personal Access Token from .env
 require('dotenv').config();
 
-// Use graphql-request package to make requests to the GitHub GraphQL API
-const { GraphQLClient } = require('graphql-request');
+// Use fs and path to read the config file and write reports
+const fs = require('fs');
+const path = require('path');
 
-// Grab config.json where the list of repositories to query is stored
-const CONFIG = require('./config.json');
+// Import the GraphQL client from client.js, which handles rate limits and retries
+var client = require('./client.js');
 
 // Grab queries.js where the GitHub GraphQL queries are stored
 var queries = require('./queries.js');
@@ -13,48 +14,81 @@ var queries = require('./queries.js');
 // Import utils functions from utils.js
 var utils = require('./utils.js');
 
+// Import the command line parsing functions from cli.js
+var cli = require('./cli.js');
+
+// Import the period expression functions from periods.js
+var periods = require('./periods.js');
+
+// Import the snapshot functions from snapshots.js where raw GitHub data is saved and read
+var snapshots = require('./snapshots.js');
+
+// Import the report writers from outputs.js (one for each report format)
+var outputs = require('./outputs.js');
+
+// Import the metric registry from metrics.js where each metric is defined
+var metrics = require('./metrics.js');
+
+// Import the comparison with the previous period from compare.js
+var compare = require('./compare.js');
+
+// Import the contributor funnel and cohort retention from funnel.js
+var funnel = require('./funnel.js');
+
+// Import the contributor leaderboard from leaderboard.js
+var leaderboard = require('./leaderboard.js');
+
+// Import contributor identity resolution from identity.js
+var identity = require('./identity.js');
+
+// Import the roster based classification of contributors from roster.js
+var roster = require('./roster.js');
+
 /**
  * Queries the GitHub API for information about a 
  * specific repo and returns the resulting data.
  * 
+ * @param {String} owner organization or user that owns the repo
  * @param {String} repoName repo to query
  *
  * @return {JSON} the data for the repo
  */
-async function queryGitHub(repoName) {
-    const endpoint = 'https://api.github.com/graphql';
-
-    // Create a graphQLClient
-    const graphQLClient = new GraphQLClient(endpoint, {
-        headers: {
-            authorization: 'Bearer ' + process.env.GITHUB_PERSONAL_ACCESS_TOKEN,
-        },
-    });
-
+async function queryGitHub(owner, repoName) {
     // Get the main query from queries.js
     const query = queries.mainQuery;
 
     // Set the query variables
     const variables = {
-        owner: CONFIG.owner,
+        owner: owner,
         repo: repoName
     };
 
     // Request the data
-    const dataJSON = await graphQLClient.request(query, variables);
+    const dataJSON = await client.request(query, variables);
+
+    // GitHub returns no repository (usually along with an error) if it doesn't exist or the token can't see it
+    if (!dataJSON.repository) {
+        throw new Error("Could not find the repository " + owner + "/" + repoName);
+    }
 
     // If the repo has more than 100 issues, get the rest of the issues
     if (dataJSON.repository.issues.pageInfo.hasNextPage) {
-        var issues = await queryIssuesDeep(repoName, dataJSON.repository.issues.pageInfo.endCursor, dataJSON.repository.issues.nodes);
+        var issues = await queryIssuesDeep(owner, repoName, dataJSON.repository.issues.pageInfo.endCursor, dataJSON.repository.issues.nodes);
         dataJSON.repository.issues.nodes = issues;
     }
 
     // If the repo has more than 100 pull requests, get the rest of the pull requests
     if (dataJSON.repository.pullRequests.pageInfo.hasNextPage) {
-        var pullRequests = await queryPullRequestsDeep(repoName, dataJSON.repository.pullRequests.pageInfo.endCursor, dataJSON.repository.pullRequests.nodes);
+        var pullRequests = await queryPullRequestsDeep(owner, repoName, dataJSON.repository.pullRequests.pageInfo.endCursor, dataJSON.repository.pullRequests.nodes);
         dataJSON.repository.pullRequests.nodes = pullRequests;
     }
 
+    // If the default branch has more than 100 commits, get the rest of the commits
+    var history = utils.getCommitHistory(dataJSON);
+    if (history && history.pageInfo.hasNextPage) {
+        history.nodes = await queryCommitsDeep(owner, repoName, null, history.pageInfo.endCursor, history.nodes);
+    }
+
     return dataJSON;
 }
 
@@ -62,41 +96,33 @@ async function queryGitHub(repoName) {
  * Recursively queries GitHub for 100 additional issues
  * until all of the issues have been retrieved.
  * 
+ * @param {String} owner organization or user that owns the repo
  * @param {String} repoName repo to query
  * @param {String} cursor index of issue to start at
  * @param {Array} issues running list of issues
  *
  * @return {Array} all the issues for the repo
  */
-async function queryIssuesDeep(repoName, cursor, issues) {
-    const endpoint = 'https://api.github.com/graphql';
-  
-    // Create a graphQLClient
-    const graphQLClient = new GraphQLClient(endpoint, {
-        headers: {
-            authorization: 'Bearer ' + process.env.GITHUB_PERSONAL_ACCESS_TOKEN,
-        },
-    });
-  
+async function queryIssuesDeep(owner, repoName, cursor, issues) {
     // Get the issues query from queries.js
     const query = queries.issuesQuery;
   
     // Set the query variables
     const variables = {
-        owner: CONFIG.owner,
+        owner: owner,
         repo: repoName,
         cursor: cursor
     };
   
     // Request the additional issues
-    const dataJSON = await graphQLClient.request(query, variables);
+    const dataJSON = await client.request(query, variables, true);
 
     // Push the new issues to the running issue list
     dataJSON.repository.issues.nodes.forEach(issue => {issues.push(issue)});
 
     // Recurse if there are still more issues
     if (dataJSON.repository.issues.pageInfo.hasNextPage) {
-        return await queryIssuesDeep(repoName, dataJSON.repository.issues.pageInfo.endCursor, issues);
+        return await queryIssuesDeep(owner, repoName, dataJSON.repository.issues.pageInfo.endCursor, issues);
     }
 
     return issues;
@@ -106,395 +132,379 @@ async function queryIssuesDeep(repoName, cursor, issues) {
  * Recursively queries GitHub for 100 additional pull requests
  * until all of the pull requests have been retrieved.
  * 
+ * @param {String} owner organization or user that owns the repo
  * @param {String} repoName repo to query
  * @param {String} cursor index of pull request to start at
  * @param {Array} pullRequests running list of pull requests
  *
  * @return {Array} all the pull requests for the repo
  */
-async function queryPullRequestsDeep(repoName, cursor, pullRequests) {
-    const endpoint = 'https://api.github.com/graphql';
-  
-    // Create a graphQLClient
-    const graphQLClient = new GraphQLClient(endpoint, {
-        headers: {
-            authorization: 'Bearer ' + process.env.GITHUB_PERSONAL_ACCESS_TOKEN,
-        },
-    });
-
+async function queryPullRequestsDeep(owner, repoName, cursor, pullRequests) {
     // Get the pull requests query from queries.js
     const query = queries.pullRequestsQuery;
   
     // Set the query variables
     const variables = {
-        owner: CONFIG.owner,
+        owner: owner,
         repo: repoName,
         cursor: cursor
     };
 
     // Request the additional pull requests
-    const dataJSON = await graphQLClient.request(query, variables);
+    const dataJSON = await client.request(query, variables, true);
 
     // Push the new pull requests to the running pull requests list
     dataJSON.repository.pullRequests.nodes.forEach(pullRequest => {pullRequests.push(pullRequest)});
 
     // Recurse if there are still more pull requests
     if (dataJSON.repository.pullRequests.pageInfo.hasNextPage) {
-        return await queryIssuesDeep(repoName, dataJSON.repository.pullRequests.pageInfo.endCursor, pullRequests);
+        return await queryPullRequestsDeep(owner, repoName, dataJSON.repository.pullRequests.pageInfo.endCursor, pullRequests);
     }
 
     return pullRequests;
 }
 
 /**
- * Processes the raw repo data from GitHub by calculating 
- * the relevant metrics and returning a JSON of these metrics
- * for the .csv report.
+ * Recursively queries GitHub for 100 additional commits of the default
+ * branch until all of the commits (since a date) have been retrieved.
  * 
- * @param {JSON} repo raw data from GitHub API
+ * @param {String} owner organization or user that owns the repo
+ * @param {String} repoName repo to query
+ * @param {Date} since only commits since this date are queried (null for all commits)
+ * @param {String} cursor index of commit to start at
+ * @param {Array} commits running list of commits
  *
- * @return {JSON} a JSON of metrics calculated for repo
+ * @return {Array} all the commits of the default branch (since the date)
  */
-function processRepo(repo) {
-    // Set up
-    var issueMetaData = getIssueMetaData(repo);
-    var pullRequestMetaData = getPullRequestMetaData(repo);
-    var contributorsListAllTime = utils.unionSets(issueMetaData.contributorsListAllTime, pullRequestMetaData.contributorsListAllTime);
-    var contributorsListAllTimeInteral = utils.unionSets(issueMetaData.contributorsListAllTimeInternal, pullRequestMetaData.contributorsListAllTimeInternal);
-    var contributorsListAllTimeExternal = utils.unionSets(issueMetaData.contributorsListAllTimeExternal, pullRequestMetaData.contributorsListAllTimeExternal);
-    var contributorsListThisPeriod = utils.unionSets(issueMetaData.contributorsListThisPeriod, pullRequestMetaData.contributorsListThisPeriod);
-    var contributorsListThisPeriodInternal = utils.unionSets(issueMetaData.contributorsListThisPeriodInternal, pullRequestMetaData.contributorsListThisPeriodInternal);
-    var contributorsListThisPeriodExternal = utils.unionSets(issueMetaData.contributorsListThisPeriodExternal, pullRequestMetaData.contributorsListThisPeriodExternal);
-    var contributorsListThisPeriodFirstTimeContributor = utils.unionSets(issueMetaData.contributorsListThisPeriodFirstTimeContributor, pullRequestMetaData.contributorsListThisPeriodFirstTimeContributor);
-    
-    // Make JSON of processed data
-    var repoData = {
-        repo: repo.repository.name,
+async function queryCommitsDeep(owner, repoName, since, cursor, commits) {
+    // Get the commits query from queries.js
+    const query = since ? queries.commitsSinceQuery : queries.commitsQuery;
+  
+    // Set the query variables
+    const variables = {
+        owner: owner,
+        repo: repoName,
+        cursor: cursor
+    };
+    if (since) {
+        variables.since = since.toISOString();
+    }
 
-        // These metrics are for all time as of the time of the script running
-        stars: utils.getStarCount(repo),
-        watches: utils.getWatchCount(repo),
-        forks: utils.getForkCount(repo),
-        issues: utils.getIssueCount(repo),
-        internalIssues: issueMetaData.internalIssues,
-        externalIssues: issueMetaData.externalIssues,
-        openIssues: issueMetaData.openIssues,
-        staleIssues: issueMetaData.staleIssues,
-        percentStaleIssues: issueMetaData.openIssues === 0 ? "N/A" : utils.toPercent(issueMetaData.staleIssues / issueMetaData.openIssues),
-        oldIssues: issueMetaData.oldIssues,
-        percentOldIssues: issueMetaData.openIssues === 0 ? "N/A" : utils.toPercent(issueMetaData.oldIssues / issueMetaData.openIssues),
-        percentIssuesClosedByPullRequest: issueMetaData.closedIssuesTotal === 0 ? "N/A" : utils.toPercent(issueMetaData.closedByPullRequestIssues / issueMetaData.closedIssuesTotal),
-        averageIssueOpenTime: utils.averageList(issueMetaData.openTimes),
-        pullRequests: utils.getPullRequestCount(repo),
-        internalPullRequests: pullRequestMetaData.internalPullRequests,
-        externalPullRequests: pullRequestMetaData.externalPullRequests,
-        openPullRequests: pullRequestMetaData.openPullRequests,
-        averagePullRequestMergeTime: utils.averageList(pullRequestMetaData.openTimes),
-        contributorsAllTime: contributorsListAllTime.size,
-        contributorsAllTimeInternal: contributorsListAllTimeInteral.size,
-        contributorsAllTimeExternal: contributorsListAllTimeExternal.size,
-
-        // These lists are included in repoData (but not the final .csv) to help with aggregation
-        issueOpenTimes: issueMetaData.openTimes,
-        closedByPullRequestIssues: issueMetaData.closedByPullRequestIssues,
-        closedIssuesTotal: issueMetaData.closedIssuesTotal,
-        pullRequestOpenTimes: pullRequestMetaData.openTimes,
-        contributorsListAllTime: contributorsListAllTime,
-        contributorsListAllTimeInternal: contributorsListAllTimeInteral,
-        contributorsListAllTimeExternal: contributorsListAllTimeExternal,
-        contributorsListThisPeriod: contributorsListThisPeriod,
-        contributorsListThisPeriodInternal: contributorsListThisPeriodInternal,
-        contributorsListThisPeriodExternal: contributorsListThisPeriodExternal,
-        contributorsListThisPeriodFirstTimeContributor: contributorsListThisPeriodFirstTimeContributor,
+    // Request the additional commits
+    const dataJSON = await client.request(query, variables, true);
+    const history = utils.getCommitHistory(dataJSON);
 
-        // These metrics are for the time period provided through command line arguments
-        openedIssues: issueMetaData.openedIssues,
-        openedIssuesInternal: issueMetaData.openedIssuesInternal,
-        openedIssuesExternal: issueMetaData.openedIssuesExternal,
-        openedIssuesFirstTimeContributor: issueMetaData.openedIssuesFirstTimeContributor,
-        closedIssues: issueMetaData.closedIssues,
-        openedPullRequests: pullRequestMetaData.openedPullRequests,
-        openedPullRequestsInternal: pullRequestMetaData.openedPullRequestsInternal,
-        openedPullRequestsExternal: pullRequestMetaData.openedPullRequestsExternal,
-        openedPullRequestsFirstTimeContributor: pullRequestMetaData.openedPullRequestsFirstTimeContributor,
-        mergedPullRequests: pullRequestMetaData.mergedPullRequests,
-        closedPullRequests: pullRequestMetaData.closedPullRequests,
-        contributorsThisPeriod: contributorsListThisPeriod.size,
-        contributorsThisPeriodInternal: contributorsListThisPeriodInternal.size,
-        contributorsThisPeriodExternal: contributorsListThisPeriodExternal.size,
-        contributorsThisPeriodFirstTimeContributor: contributorsListThisPeriodFirstTimeContributor.size
-    };
-    
-    return repoData;
+    // Push the new commits to the running commits list
+    history.nodes.forEach(commit => {commits.push(commit)});
+
+    // Recurse if there are still more commits
+    if (history.pageInfo.hasNextPage) {
+        return await queryCommitsDeep(owner, repoName, since, history.pageInfo.endCursor, commits);
+    }
+
+    return commits;
 }
 
 /**
- * Calculates issue meta deta for a repo (e.g. number
- * of open issues)
+ * Queries the GitHub API for the issues, pull requests and commits
+ * of a specific repo that were updated since a date, and merges them
+ * into the data for the repo from a previous snapshot.
  * 
- * @param {JSON} repo raw data from GitHub API
+ * @param {String} owner organization or user that owns the repo
+ * @param {String} repoName repo to query
+ * @param {Date} since only issues and pull requests updated since this date (and commits made since shortly before it) are queried
+ * @param {JSON} previousRepo the data for the repo from the previous snapshot
  *
- * @return {JSON} a JSON of metrics calculated for the issues 
- * of that repo
+ * @return {JSON} the data for the repo
  */
-function getIssueMetaData(repo) {
-    // Set up
-    var internalIssues = 0;
-    var externalIssues = 0;
-    var openIssues = 0;
-    var staleIssues = 0;
-    var oldIssues = 0;
-    var closedByPullRequestIssues = 0;
-    var closedIssuesTotal = 0;
-    var openedIssues = 0;
-    var openedIssuesInternal = 0;
-    var openedIssuesExternal = 0;
-    var openedIssuesFirstTimeContributor = 0;
-    var closedIssues = 0;
-    var openTimes = [];
-    var contributorsListAllTime = new Set();
-    var contributorsListAllTimeInternal = new Set();
-    var contributorsListAllTimeExternal = new Set();
-    var contributorsListThisPeriod = new Set();
-    var contributorsListThisPeriodInternal = new Set();
-    var contributorsListThisPeriodExternal = new Set();
-    var contributorsListThisPeriodFirstTimeContributor = new Set();
-
-    // Iterate through each issue of the repo
-    repo.repository.issues.nodes.forEach(function(issue) {
-        // Add contributor to all time contributors list
-        contributorsListAllTime.add(issue.author.login);
-        
-        // Add contributor to all time internal/external contributor list
-        if (utils.authorIsInternal(issue.authorAssociation)) {
-            contributorsListAllTimeInternal.add(issue.author.login);
-            internalIssues += 1;
-        }
-        if (utils.authorIsExternal(issue.authorAssociation)) {
-            contributorsListAllTimeExternal.add(issue.author.login);
-            externalIssues += 1;
-        }
+async function queryGitHubSince(owner, repoName, since, previousRepo) {
+    // Get the updated since query from queries.js
+    const query = queries.updatedSinceQuery;
 
-        // Calculate the time created for use later on
-        var timeCreated = new Date(issue.createdAt);
+    // Set the query variables
+    const variables = {
+        owner: owner,
+        repo: repoName,
+        since: since.toISOString(),
+        commitsSince: utils.getCommitsSince(since).toISOString()
+    };
 
-        if (issue.state === "OPEN") {
-            openIssues += 1;
-            var timelineEvents = issue.timelineItems.nodes;
-            var lastTimelineEvent = timelineEvents[timelineEvents.length - 1];
-            // Last event is either the last event in the timeline or the creation of the issue
-            var lastEventDate = (lastTimelineEvent) ? lastTimelineEvent.createdAt : issue.createdAt;
-            lastEventDate = new Date(lastEventDate);
+    // Request the data
+    const dataJSON = await client.request(query, variables);
 
-            // Determine if issue is stale (no activity for >14 days)
-            if (utils.millisecondsToDays(Date.now() - lastEventDate) > 14) {
-                staleIssues += 1;
-            }
+    // If more than 100 issues were updated, get the rest of the updated issues
+    var issues = dataJSON.repository.issues.nodes;
+    if (dataJSON.repository.issues.pageInfo.hasNextPage) {
+        issues = await queryIssuesSinceDeep(owner, repoName, since, dataJSON.repository.issues.pageInfo.endCursor, issues);
+    }
 
-            // Determine if issue is old (open for >120 days)
-            if (utils.millisecondsToDays(Date.now() - timeCreated) > 120) {
-                oldIssues += 1;
-            }
+    /**
+     * Pull requests can't be filtered by when they were updated, but they are sorted by it, 
+     * so get more pull requests until one of them was last updated before the date
+     */
+    var pullRequests = dataJSON.repository.pullRequests.nodes;
+    if (dataJSON.repository.pullRequests.pageInfo.hasNextPage && utils.isUpdatedSince(pullRequests[pullRequests.length - 1], since)) {
+        pullRequests = await queryPullRequestsSinceDeep(owner, repoName, since, dataJSON.repository.pullRequests.pageInfo.endCursor, pullRequests);
+    }
+    pullRequests = pullRequests.filter(pullRequest => utils.isUpdatedSince(pullRequest, since));
+
+    // Merge the updated issues and pull requests into the previous ones
+    dataJSON.repository.issues.nodes = utils.mergeNodes(previousRepo.repository.issues.nodes, issues);
+    dataJSON.repository.issues.totalCount = dataJSON.repository.issues.nodes.length;
+    dataJSON.repository.pullRequests.nodes = utils.mergeNodes(previousRepo.repository.pullRequests.nodes, pullRequests);
+    dataJSON.repository.pullRequests.totalCount = dataJSON.repository.pullRequests.nodes.length;
+
+    // Add the new commits to the commits of the default branch (the commits queried again are matched by oid)
+    var history = utils.getCommitHistory(dataJSON);
+    if (history) {
+        if (history.pageInfo.hasNextPage) {
+            history.nodes = await queryCommitsDeep(owner, repoName, utils.getCommitsSince(since), history.pageInfo.endCursor, history.nodes);
         }
+        var previousHistory = utils.getCommitHistory(previousRepo);
+        history.nodes = utils.mergeCommits(previousHistory ? previousHistory.nodes : [], history.nodes);
+        history.totalCount = history.nodes.length;
+    }
 
-        // Check if issue was created during the time period specified
-        if (timeCreated > START_DATE && timeCreated < END_DATE) {
-            openedIssues += 1;
+    return dataJSON;
+}
 
-            // Add contributor to this period's contributors list
-            contributorsListThisPeriod.add(issue.author.login);
+/**
+ * Recursively queries GitHub for 100 additional issues updated
+ * since a date until all of them have been retrieved.
+ * 
+ * @param {String} owner organization or user that owns the repo
+ * @param {String} repoName repo to query
+ * @param {Date} since only issues updated since this date are queried
+ * @param {String} cursor index of issue to start at
+ * @param {Array} issues running list of issues
+ *
+ * @return {Array} all the issues for the repo updated since the date
+ */
+async function queryIssuesSinceDeep(owner, repoName, since, cursor, issues) {
+    // Get the issues since query from queries.js
+    const query = queries.issuesSinceQuery;
+  
+    // Set the query variables
+    const variables = {
+        owner: owner,
+        repo: repoName,
+        since: since.toISOString(),
+        cursor: cursor
+    };
+  
+    // Request the additional issues
+    const dataJSON = await client.request(query, variables, true);
 
-            // Add contributor to this period's internal/external/first time contributor list
-            if (utils.authorIsInternal(issue.authorAssociation)) {
-                openedIssuesInternal += 1;
-                contributorsListThisPeriodInternal.add(issue.author.login);
-            }
-            if (utils.authorIsExternal(issue.authorAssociation)) {
-                openedIssuesExternal += 1;
-                contributorsListThisPeriodExternal.add(issue.author.login);
-            }
-            if (utils.authorIsFirstTimeContributor(issue.authorAssociation)){
-                openedIssuesFirstTimeContributor += 1;
-                contributorsListThisPeriodFirstTimeContributor.add(issue.author.login);
-            }
-        }
+    // Push the new issues to the running issue list
+    dataJSON.repository.issues.nodes.forEach(issue => {issues.push(issue)});
 
-        if (issue.closedAt) {
-            closedIssuesTotal += 1;
+    // Recurse if there are still more issues
+    if (dataJSON.repository.issues.pageInfo.hasNextPage) {
+        return await queryIssuesSinceDeep(owner, repoName, since, dataJSON.repository.issues.pageInfo.endCursor, issues);
+    }
 
-            var timeClosed = new Date(issue.closedAt);
+    return issues;
+}
 
-            // Check if issue was closed during the time period specified
-            if (timeClosed > START_DATE && timeClosed < END_DATE) {
-                closedIssues += 1;
-            }
+/**
+ * Recursively queries GitHub for 100 additional pull requests, most
+ * recently updated first, until a pull request last updated before
+ * the date is reached.
+ * 
+ * @param {String} owner organization or user that owns the repo
+ * @param {String} repoName repo to query
+ * @param {Date} since stop once pull requests were last updated before this date
+ * @param {String} cursor index of pull request to start at
+ * @param {Array} pullRequests running list of pull requests
+ *
+ * @return {Array} pull requests for the repo, including all of those updated since the date
+ */
+async function queryPullRequestsSinceDeep(owner, repoName, since, cursor, pullRequests) {
+    // Get the pull requests since query from queries.js
+    const query = queries.pullRequestsSinceQuery;
+  
+    // Set the query variables
+    const variables = {
+        owner: owner,
+        repo: repoName,
+        cursor: cursor
+    };
 
-            // Calculate time open in days
-            var timeOpen = utils.millisecondsToDays(timeClosed - timeCreated);
-            openTimes.push(timeOpen);
-
-            /** 
-             * Use this in case there are multiple closed events - uses the last one to determine
-             * if the issue was closed by PR
-             * */ 
-            var closedByPullRequest = false;
-            issue.timelineItems.nodes.forEach(function(timelineItem) {
-                if (timelineItem.__typename === "ClosedEvent") {
-                    if (timelineItem.closer && timelineItem.closer.__typename === "PullRequest") {
-                        closedByPullRequest = true;
-                    }
-                }
-            });
-            if (closedByPullRequest) {
-                closedByPullRequestIssues += 1;
-            }
-        }
-    });
-    return {
-        internalIssues: internalIssues,
-        externalIssues: externalIssues,
-        openIssues: openIssues,
-        staleIssues: staleIssues,
-        oldIssues: oldIssues,
-        closedByPullRequestIssues: closedByPullRequestIssues,
-        closedIssuesTotal: closedIssuesTotal,
-        openedIssues: openedIssues,
-        openedIssuesInternal: openedIssuesInternal,
-        openedIssuesExternal: openedIssuesExternal,
-        openedIssuesFirstTimeContributor: openedIssuesFirstTimeContributor,
-        closedIssues: closedIssues,
-        openTimes: openTimes,
-        contributorsListAllTime: contributorsListAllTime,
-        contributorsListAllTimeInternal: contributorsListAllTimeInternal,
-        contributorsListAllTimeExternal: contributorsListAllTimeExternal,
-        contributorsListThisPeriod: contributorsListThisPeriod,
-        contributorsListThisPeriodInternal: contributorsListThisPeriodInternal,
-        contributorsListThisPeriodExternal: contributorsListThisPeriodExternal,
-        contributorsListThisPeriodFirstTimeContributor: contributorsListThisPeriodFirstTimeContributor
+    // Request the additional pull requests
+    const dataJSON = await client.request(query, variables, true);
+
+    // Push the new pull requests to the running pull requests list
+    dataJSON.repository.pullRequests.nodes.forEach(pullRequest => {pullRequests.push(pullRequest)});
+
+    // Recurse if there are still more pull requests and the last one was updated since the date
+    if (dataJSON.repository.pullRequests.pageInfo.hasNextPage && utils.isUpdatedSince(pullRequests[pullRequests.length - 1], since)) {
+        return await queryPullRequestsSinceDeep(owner, repoName, since, dataJSON.repository.pullRequests.pageInfo.endCursor, pullRequests);
+    }
+
+    return pullRequests;
+}
+
+/**
+ * Recursively queries GitHub for the repositories of an owner,
+ * 100 at a time, until all of the repositories have been retrieved.
+ * 
+ * @param {String} owner organization or user to list the repos of
+ * @param {String} cursor index of repository to start at (null for the first page)
+ * @param {Array} repositories running list of repositories
+ *
+ * @return {Array} all the repositories of the owner
+ */
+async function queryRepositoriesDeep(owner, cursor, repositories) {
+    // Get the repositories query from queries.js
+    const query = queries.repositoriesQuery;
+  
+    // Set the query variables
+    const variables = {
+        owner: owner,
+        cursor: cursor
     };
+
+    // Request the repositories
+    const dataJSON = await client.request(query, variables, true);
+
+    // GitHub returns no owner if it doesn't exist or the token can't see it
+    if (!dataJSON.repositoryOwner) {
+        throw new Error("Could not find the owner " + owner);
+    }
+
+    // Push the new repositories to the running repositories list
+    dataJSON.repositoryOwner.repositories.nodes.forEach(repository => {repositories.push(repository)});
+
+    // Recurse if there are still more repositories
+    if (dataJSON.repositoryOwner.repositories.pageInfo.hasNextPage) {
+        return await queryRepositoriesDeep(owner, dataJSON.repositoryOwner.repositories.pageInfo.endCursor, repositories);
+    }
+
+    return repositories;
 }
 
 /**
- * Calculates pull request meta deta for a repo (e.g. number
- * of open pull requests)
+ * Recursively queries GitHub for the members of a team,
+ * 100 at a time, until all of the members have been retrieved.
  * 
- * @param {JSON} repo raw data from GitHub API
+ * @param {String} org organization the team belongs to
+ * @param {String} team slug of the team
+ * @param {String} cursor index of member to start at (null for the first page)
+ * @param {Array} members running list of members
  *
- * @return {JSON} a JSON of metrics calculated for the pull requests 
- * of that repo
+ * @return {Array} all the members of the team
  */
-function getPullRequestMetaData(repo) {
-    // Set up 
-    var internalPullRequests = 0;
-    var externalPullRequests = 0;
-    var openPullRequests = 0;
-    var openedPullRequests = 0;
-    var openedPullRequestsInternal = 0;
-    var openedPullRequestsExternal = 0;
-    var openedPullRequestsFirstTimeContributor = 0;
-    var mergedPullRequests = 0;
-    var closedPullRequests = 0;
-    var openTimes = [];
-    var contributorsListAllTime = new Set();
-    var contributorsListAllTimeInternal = new Set();
-    var contributorsListAllTimeExternal = new Set();
-    var contributorsListThisPeriod = new Set();
-    var contributorsListThisPeriodInternal = new Set();
-    var contributorsListThisPeriodExternal = new Set();
-    var contributorsListThisPeriodFirstTimeContributor = new Set();
-
-    // Iterate through each pull request of the repo
-    repo.repository.pullRequests.nodes.forEach(function(pullRequest) {
-        // Add contributor to all time contributors list
-       if(pullRequest.author == null)
-        {
-            console.error("**************PR NULL LOGIN HERE****************");
-            console.log(pullRequest);
-            //there were some ghost users
-            /**
-             * https://github.com/usdot-jpo-ode/jpo-ode/pull/166
-             */
-            return;
-        }
-        contributorsListAllTime.add(pullRequest.author.login);
+async function queryTeamMembersDeep(org, team, cursor, members) {
+    // Get the team members query from queries.js
+    const query = queries.teamMembersQuery;
+  
+    // Set the query variables
+    const variables = {
+        org: org,
+        team: team,
+        cursor: cursor
+    };
 
-        // Add contributor to all time internal/external contributor list
-        if (utils.authorIsInternal(pullRequest.authorAssociation)) {
-            contributorsListAllTimeInternal.add(pullRequest.author.login);
-            internalPullRequests += 1;
-        }
-        if (utils.authorIsExternal(pullRequest.authorAssociation)) {
-            contributorsListAllTimeExternal.add(pullRequest.author.login);
-            externalPullRequests += 1;
-        }
+    // Request the members
+    const dataJSON = await client.request(query, variables, true);
 
-        // Calculate the time created for use later on
-        var timeCreated = new Date(pullRequest.createdAt);
-       
-        if (pullRequest.state === "OPEN") {
-            openPullRequests += 1;
-        }
+    // GitHub returns no team if it doesn't exist or the token can't see it (which needs the read:org scope)
+    if (!dataJSON.organization || !dataJSON.organization.team) {
+        throw new Error("Could not find the team " + org + "/" + team);
+    }
 
-        // Check if pull request was created during the time period specified
-        if (timeCreated > START_DATE && timeCreated < END_DATE) {
-            openedPullRequests += 1;
+    // Push the new members to the running members list
+    dataJSON.organization.team.members.nodes.forEach(member => {members.push(member)});
 
-            // Add contributor to this period's contributors list
-            contributorsListThisPeriod.add(pullRequest.author.login);
+    // Recurse if there are still more members
+    if (dataJSON.organization.team.members.pageInfo.hasNextPage) {
+        return await queryTeamMembersDeep(org, team, dataJSON.organization.team.members.pageInfo.endCursor, members);
+    }
 
-            // Add contributor to this period's internal/external/first time contributor list
-            if (utils.authorIsInternal(pullRequest.authorAssociation)) {
-                openedPullRequestsInternal += 1;
-                contributorsListThisPeriodInternal.add(pullRequest.author.login);
-            }
-            if (utils.authorIsExternal(pullRequest.authorAssociation)) {
-                openedPullRequestsExternal += 1;
-                contributorsListThisPeriodExternal.add(pullRequest.author.login);
-            }
-            if (utils.authorIsFirstTimeContributor(pullRequest.authorAssociation)){
-                openedPullRequestsFirstTimeContributor += 1;
-                contributorsListThisPeriodFirstTimeContributor.add(pullRequest.author.login);
-            }
-        }
+    return members;
+}
 
-        // Check if pull request was merged during the time period specified
-        if (pullRequest.mergedAt && pullRequest.state === "MERGED") {
-            var timeMerged = new Date(pullRequest.mergedAt);
-            if (timeMerged > START_DATE && timeMerged < END_DATE) {
-                mergedPullRequests += 1;
-            }
-            // Calculate time open in days
-            var timeOpen = utils.millisecondsToDays(timeMerged - timeCreated);
-            openTimes.push(timeOpen);
-        }
+/**
+ * Gets the members of the roster's teams.
+ * 
+ * @param {Array} teams teams of the roster ("org/team")
+ *
+ * @return {Array} members (GitHub users with an id and login) of all of the teams
+ */
+async function getTeamMembers(teams) {
+    var teamMembers = await Promise.all(teams.map(function(team) {
+        var parts = team.split("/");
+        return queryTeamMembersDeep(parts[0], parts[1], null, []);
+    }));
+    return utils.concatenateLists(teamMembers);
+}
 
-        // Check if pull request was closed during the time period specified
-        if (pullRequest.closedAt && pullRequest.state === "CLOSED") {
-            var timeClosed = new Date(pullRequest.closedAt);
-            if (timeClosed > START_DATE && timeClosed < END_DATE) {
-                closedPullRequests += 1;
-            }
+/**
+ * Gets the list of repos to query for an owner, either from
+ * its repoList or by discovering all of the repos it owns.
+ * Duplicate repos are removed later (see utils.uniqueRepoLists).
+ * 
+ * @param {JSON} ownerConfig an owner's entry from the config
+ *
+ * @return {Array} names of the repos to query
+ */
+async function getRepoList(ownerConfig) {
+    var repoList = ownerConfig.repoList || [];
+
+    if (ownerConfig.discover) {
+        var repositories = await queryRepositoriesDeep(ownerConfig.owner, null, []);
+        repoList = repoList.concat(utils.filterRepositories(repositories, ownerConfig));
+    }
+
+    return repoList;
+}
+
+/**
+ * Gets the raw data for a repo, either from the snapshot being read or 
+ * by querying GitHub. If the previous snapshot has data for the repo, only 
+ * the issues and pull requests updated since the repo was fetched are queried.
+ * 
+ * @param {String} owner organization or user that owns the repo
+ * @param {String} repoName repo to get the data of
+ *
+ * @return {JSON} the data for the repo
+ */
+async function getRepoData(owner, repoName) {
+    if (OPTIONS.fromSnapshot) {
+        return snapshots.readRepo(OPTIONS.fromSnapshot, owner, repoName);
+    }
+
+    if (OPTIONS.previousSnapshot && snapshots.hasRepo(OPTIONS.previousSnapshot.dir, owner, repoName)) {
+        var previousRepo = snapshots.readRepo(OPTIONS.previousSnapshot.dir, owner, repoName);
+        if (utils.canMergeRepoData(previousRepo)) {
+            return queryGitHubSince(owner, repoName, snapshots.getFetchedAt(OPTIONS.previousSnapshot.manifest, owner, repoName), previousRepo);
         }
-    });
-    return {
-        internalPullRequests: internalPullRequests,
-        externalPullRequests: externalPullRequests,
-        openPullRequests: openPullRequests,
-        openedPullRequests: openedPullRequests,
-        openedPullRequestsInternal: openedPullRequestsInternal,
-        openedPullRequestsExternal: openedPullRequestsExternal,
-        openedPullRequestsFirstTimeContributor: openedPullRequestsFirstTimeContributor,
-        mergedPullRequests: mergedPullRequests,
-        closedPullRequests: closedPullRequests,
-        openTimes: openTimes,
-        contributorsListAllTime: contributorsListAllTime,
-        contributorsListAllTimeInternal: contributorsListAllTimeInternal,
-        contributorsListAllTimeExternal: contributorsListAllTimeExternal,
-        contributorsListThisPeriod: contributorsListThisPeriod,
-        contributorsListThisPeriodInternal: contributorsListThisPeriodInternal,
-        contributorsListThisPeriodExternal: contributorsListThisPeriodExternal,
-        contributorsListThisPeriodFirstTimeContributor: contributorsListThisPeriodFirstTimeContributor
-    };
+    }
+
+    return queryGitHub(owner, repoName);
+}
+
+/**
+ * Processes the raw repo data from GitHub by calculating 
+ * the metrics in the metric registry (metrics.js) and
+ * returning a JSON of these metrics for the report.
+ * 
+ * @param {JSON} repo raw data from GitHub API
+ * @param {String} owner organization or user that owns the repo
+ * @param {Date} startDate start of the time period (optional, defaults to START_DATE)
+ * @param {Date} endDate end of the time period (optional, defaults to END_DATE)
+ * @param {String} scope only calculate the metrics for "allTime" or for the "period" (optional, defaults to all of them)
+ *
+ * @return {JSON} a JSON of metrics calculated for repo
+ */
+function processRepo(repo, owner, startDate, endDate, scope) {
+    var context = metrics.createContext(repo, startDate || START_DATE, endDate || END_DATE, OPTIONS, IDENTITIES, ROSTER);
+
+    // The Sets and lists behind some of the metrics are included in repoData (but not the final .csv) to help with aggregation
+    return Object.assign({
+        owner: owner,
+        repo: repo.repository.name
+    }, metrics.computeMetrics(context, scope));
 }
 
 /**
@@ -502,200 +512,495 @@ function getPullRequestMetaData(repo) {
  * to calculate total metrics.
  * 
  * @param {Array} repos list of processed repo data
+ * @param {String} owner owner the repos are grouped under 
+ * (optional, defaults to all owners)
+ * @param {String} scope only aggregate the metrics for "allTime" or for the "period" (optional, defaults to all of them)
  *
  * @return {JSON} a JSON of metrics calculated for all repos
  */
-function aggregateRepoData(repos) {
-    // Set up
-    var openIssues = utils.sumList(repos.map(repo => repo.openIssues));
-    var staleIssues = utils.sumList(repos.map(repo => repo.staleIssues));
-    var oldIssues = utils.sumList(repos.map(repo => repo.oldIssues));
-
-    // Make JSON of aggregate processed data
-    var totalData = {
-        repo: "TOTAL",
-
-        // These metrics are for all time as of the time of the script running
-        stars: utils.sumList(repos.map(repo => repo.stars)),
-        watches: utils.sumList(repos.map(repo => repo.watches)),
-        forks: utils.sumList(repos.map(repo => repo.forks)),
-        issues: utils.sumList(repos.map(repo => repo.issues)),
-        internalIssues: utils.sumList(repos.map(repo => repo.internalIssues)),
-        externalIssues: utils.sumList(repos.map(repo => repo.externalIssues)),
-        openIssues: openIssues,
-        staleIssues: staleIssues,
-        percentStaleIssues: utils.toPercent(staleIssues / openIssues),
-        oldIssues: oldIssues,
-        percentOldIssues: utils.toPercent(oldIssues / openIssues), 
-        percentIssuesClosedByPullRequest: utils.toPercent(utils.sumList(repos.map(repo => repo.closedByPullRequestIssues))/ utils.sumList(repos.map(repo => repo.closedIssuesTotal))),
-        averageIssueOpenTime: utils.averageList(utils.concatenateLists(repos.map(repo => repo.issueOpenTimes))),
-        pullRequests: utils.sumList(repos.map(repo => repo.pullRequests)),
-        internalPullRequests: utils.sumList(repos.map(repo => repo.internalPullRequests)),
-        externalPullRequests: utils.sumList(repos.map(repo => repo.externalPullRequests)),
-        openPullRequests: utils.sumList(repos.map(repo => repo.openPullRequests)),
-        averagePullRequestMergeTime: utils.averageList(utils.concatenateLists(repos.map(repo => repo.pullRequestOpenTimes))),
-        contributorsAllTime: utils.unionSetSize(repos.map(repo => repo.contributorsListAllTime)),
-        contributorsAllTimeInternal: utils.unionSetSize(repos.map(repo => repo.contributorsListAllTimeInternal)),
-        contributorsAllTimeExternal: utils.unionSetSize(repos.map(repo => repo.contributorsListAllTimeExternal)),
-
-        // These metrics are for the time period provided through command line arguments
-        openedIssues: utils.sumList(repos.map(repo => repo.openedIssues)),
-        openedIssuesInternal: utils.sumList(repos.map(repo => repo.openedIssuesInternal)),
-        openedIssuesExternal: utils.sumList(repos.map(repo => repo.openedIssuesExternal)),
-        openedIssuesFirstTimeContributor: utils.sumList(repos.map(repo => repo.openedIssuesFirstTimeContributor)),
-        closedIssues: utils.sumList(repos.map(repo => repo.closedIssues)),
-        openedPullRequests: utils.sumList(repos.map(repo => repo.openedPullRequests)),
-        openedPullRequestsInternal: utils.sumList(repos.map(repo => repo.openedPullRequestsInternal)),
-        openedPullRequestsExternal: utils.sumList(repos.map(repo => repo.openedPullRequestsExternal)),
-        openedPullRequestsFirstTimeContributor: utils.sumList(repos.map(repo => repo.openedPullRequestsFirstTimeContributor)),
-        mergedPullRequests: utils.sumList(repos.map(repo => repo.mergedPullRequests)),
-        closedPullRequests: utils.sumList(repos.map(repo => repo.closedPullRequests)),
-        contributorsThisPeriod: utils.unionSetSize(repos.map(repo => repo.contributorsListThisPeriod)),
-        contributorsThisPeriodInternal: utils.unionSetSize(repos.map(repo => repo.contributorsListThisPeriodInternal)),
-        contributorsThisPeriodExternal: utils.unionSetSize(repos.map(repo => repo.contributorsListThisPeriodExternal)),
-        contributorsThisPeriodFirstTimeContributor: utils.unionSetSize(repos.map(repo => repo.contributorsListThisPeriodFirstTimeContributor))
-    };
-    return totalData;
+function aggregateRepoData(repos, owner, scope) {
+    return Object.assign({
+        owner: owner || "ALL",
+        repo: owner ? "SUBTOTAL" : "TOTAL"
+    }, metrics.aggregateMetrics(repos, OPTIONS.labelGroups, scope));
 }
 
 /**
  * Queries GitHub for information about each repository,
- * processes that data, and sends it to a helper function
- * to write it to a .csv report
+ * processes that data, and sends it to the report writers
+ * to write it to a report in each format
+ * 
+ * @param {JSON} config config listing the owners and their repos
+ *
+ * @return {Promise} resolves once the report is written, or rejects if it couldn't be
  */
-async function fetchProcessAndWriteGitHubData() {
-    // Get list of repos from config.json
-    repos = CONFIG.repoList;
-    var githubPromise;
-    var promises = [];
-
-    console.log("Querying GitHub for information about these repositories:");
-
-    // Query github for information about each repo and store the promises
-    repos.forEach(async function(repo) {
-        console.log(repo);
-        githubPromise = queryGitHub(repo).catch(error => console.error(error));
-        promises.push(githubPromise);
+async function fetchProcessAndWriteGitHubData(config) {
+    // Get list of owners and their repos from the config (discovering repos where configured)
+    var owners = utils.getOwnerConfigs(config);
+    var failures = [];
+    var repoLists = await Promise.all(owners.map(function(ownerConfig) {
+        return getRepoList(ownerConfig).catch(function(error) {
+            // Record why the owner's repos couldn't be discovered and only query those listed in its repoList
+            var reason = client.describeError(error);
+            console.error("Could not discover the repos of " + ownerConfig.owner + ": " + reason);
+            failures.push({owner: ownerConfig.owner, repo: null, error: reason});
+            return ownerConfig.repoList || [];
+        });
+    }));
+
+    // Only query each repo once, even if it's listed again in another case or under another entry for its owner
+    var uniqueRepoLists = utils.uniqueRepoLists(owners, repoLists);
+
+    // Leave out the entries for an owner whose repos were all listed under an earlier entry
+    var isListed = uniqueRepoLists.map((repoList, index) => repoList.length > 0 || repoLists[index].length === 0);
+    owners = owners.filter((ownerConfig, index) => isListed[index]);
+    repoLists = uniqueRepoLists.filter((repoList, index) => isListed[index]);
+    var ownerPromises = [];
+
+    // Let the user know when only updates since the previous snapshot will be queried
+    if (OPTIONS.previousSnapshot) {
+        console.log("Only querying issues, pull requests and commits updated since they were fetched for the snapshot at " + OPTIONS.previousSnapshot.dir + " (" + OPTIONS.previousSnapshot.createdAt.toISOString() + ")");
+        console.log();
+    }
+
+    console.log(OPTIONS.fromSnapshot ? "Reading information about these repositories from the snapshot at " + OPTIONS.fromSnapshot + ":" : "Querying GitHub for information about these repositories:");
+
+    // Print the repos that will be queried, grouped by owner
+    owners.forEach(function(ownerConfig, index) {
+        console.log(ownerConfig.owner + ":");
+        repoLists[index].forEach(repo => console.log("  " + repo));
     });
 
     console.log();
-    console.log("Processing repository data ...")
+
+    // Stop before querying the repos when doing a dry run
+    if (OPTIONS.dryRun) {
+        OPTIONS.formats.forEach(function(format) {
+            console.log("Dry run - the report would be written to " + getReportFilePath(format));
+            if (OPTIONS.granularity) {
+                console.log("Dry run - the trend report would be written to " + getReportFilePath(format, "by " + OPTIONS.granularity));
+            }
+            if (OPTIONS.leaderboard) {
+                console.log("Dry run - the contributor leaderboard would be written to " + getReportFilePath(format, "leaderboard"));
+            }
+            if (OPTIONS.funnel) {
+                console.log("Dry run - the contributor funnel would be written to " + getReportFilePath(format, "funnel by " + OPTIONS.granularity));
+            }
+        });
+        if (failures.length > 0) {
+            process.exitCode = 1;
+        }
+        return;
+    }
+
+    // Get the members of the roster's teams, who are classified as internal
+    var teamMembers = [];
+    if (OPTIONS.roster && OPTIONS.roster.teams.length > 0) {
+        try {
+            teamMembers = await getTeamMembers(OPTIONS.roster.teams);
+        } catch (error) {
+            console.error("Could not fetch the members of the roster's teams: " + client.describeError(error));
+            process.exitCode = 1;
+            return;
+        }
+    }
+
+    /**
+     * Query github for information about each repo and store the promises, grouped by owner.
+     * The client queues the requests so only a limited number are sent at the same time
+     */
+    var repoCount = utils.sumList(repoLists.map(repoList => repoList.length));
+    var fetchedCount = 0;
+    owners.forEach(function(ownerConfig, index) {
+        var promises = repoLists[index].map(function(repo) {
+            return getRepoData(ownerConfig.owner, repo).catch(function(error) {
+                // Record why the repo failed and leave it out, so the other repos are still reported on
+                var reason = client.describeError(error);
+                console.error("Could not fetch " + ownerConfig.owner + "/" + repo + ": " + reason);
+                failures.push({owner: ownerConfig.owner, repo: repo, error: reason});
+            }).finally(function() {
+                fetchedCount += 1;
+                console.log(fetchedCount + "/" + repoCount + " repos fetched (" + ownerConfig.owner + "/" + repo + ")");
+            });
+        });
+        ownerPromises.push(Promise.all(promises));
+    });
 
     /** 
-     * Once all of the promises have resolved, process each repo to create
-     * an array of processed repo data (for the .csv report). Aggregate the
-     * data across repos into a final entry in the data (for overall numbers)
-     * and then write the data to a .csv file
+     * Once all of the promises have resolved, save a snapshot of the raw data
+     * (unless it was read from one), process each repo to create
+     * an array of processed repo data (for the report) and write the 
+     * data to a report in each format. When a granularity is provided, also write
+     * the period metrics for each week/month/quarter to a trend report
+     * (and the contributor leaderboard and funnel, when asked for).
+     * Repos that failed are listed in a separate failures file. Errors while
+     * processing or writing the data are passed on to the caller
      */
-    Promise.all(promises).then(function(repos) {
-        var data = repos.map(repo => processRepo(repo));
-        var aggregatedData = aggregateRepoData(data);
-        data.push(aggregatedData);
-        writeCSV(data);
+    return Promise.all(ownerPromises).then(function(reposByOwner) {
+        console.log();
+        if (!OPTIONS.fromSnapshot) {
+            client.logCostSummary();
+            console.log();
+        }
+
+        // Exit with an error code if any repo failed, so automation notices
+        if (failures.length > 0) {
+            writeFailures(failures);
+            process.exitCode = 1;
+        }
+
+        // Leave out the repos that failed
+        reposByOwner = reposByOwner.map(repos => repos.filter(repo => repo));
+        if (utils.sumList(reposByOwner.map(repos => repos.length)) === 0) {
+            console.log("None of the repositories could be fetched, so no report was written");
+            return;
+        }
+
+        console.log("Processing repository data ...");
+
+        // Resolve who each contributor is across all of the repos
+        IDENTITIES = identity.createIdentities(OPTIONS.aliases, utils.concatenateLists(reposByOwner));
+        if (OPTIONS.roster) {
+            ROSTER = roster.createRoster(OPTIONS.roster, teamMembers, IDENTITIES);
+        }
+
+        // Save the raw data so reports can be regenerated without querying GitHub again
+        if (!OPTIONS.fromSnapshot && OPTIONS.saveSnapshot) {
+            var snapshotDir = snapshots.writeSnapshot(OPTIONS.snapshotDir, owners, reposByOwner, OPTIONS.asOf);
+            console.log('The snapshot ("' + snapshotDir + '") was written successfully');
+        }
+
+        // Add the change in the period metrics since the previous period
+        var rows = buildReportRows(reposByOwner, owners);
+        var columnGroups = [
+            {title: 'All Time', header: getAllTimeCSVHeader()},
+            {title: 'This Period', header: getPeriodCSVHeader()}
+        ];
+        if (OPTIONS.comparePrevious) {
+            var previousPeriod = compare.getPreviousPeriod(START_DATE, END_DATE);
+            compare.addComparison(rows, buildReportRows(reposByOwner, owners, previousPeriod.start, previousPeriod.end, 'period'), getPeriodCSVHeader());
+            columnGroups.push({title: 'Change From Previous Period', header: getComparisonCSVHeader()});
+        }
+
+        var trendRows = OPTIONS.granularity ? buildTrendRows(reposByOwner, owners) : undefined;
+
+        // Follow the external contributors across the periods, starting from who contributed before the time period
+        var contributorFunnel = undefined;
+        if (OPTIONS.funnel) {
+            var earlierTotal = buildReportRows(reposByOwner, owners, new Date(0), START_DATE, 'period').find(row => utils.isTotalRow(row));
+            contributorFunnel = funnel.buildFunnel(trendRows.filter(row => utils.isTotalRow(row)), earlierTotal.contributorsListThisPeriodExternal, OPTIONS.granularity);
+        }
+
+        return outputs.writeReports({
+            rows: rows,
+            header: getCSVHeader(),
+            columnGroups: columnGroups,
+            trendRows: trendRows,
+            trendHeader: getTrendCSVHeader(),
+            granularity: OPTIONS.granularity,
+            funnel: contributorFunnel,
+            leaderboard: OPTIONS.leaderboard ? leaderboard.buildLeaderboard(rows.find(row => utils.isTotalRow(row))) : undefined,
+            metadata: getReportMetadata(owners, repoLists),
+            top: OPTIONS.top,
+            outputDir: OPTIONS.outputDir,
+            getFilePath: getReportFilePath
+        }, OPTIONS.formats);
     });
-    console.log();
 }
 
 /**
- * Writes the data for each repo as well as all repos into
- * a .csv report in the reports folder.
+ * Processes the raw data of each repo and aggregates it into
+ * the rows of a report. When there is more than one owner, each 
+ * owner's repos are followed by a subtotal row. The data across
+ * all repos is aggregated into a final entry (for overall numbers).
  * 
- * @param {Array} data data for each repo + all repos
+ * @param {Array} reposByOwner raw data from GitHub API for the repos of each owner
+ * @param {Array} owners list of {owner, repoList} objects, in the same order
+ * @param {Date} startDate start of the time period (optional, defaults to START_DATE)
+ * @param {Date} endDate end of the time period (optional, defaults to END_DATE)
+ * @param {String} scope only calculate the metrics for "allTime" or for the "period" (optional, defaults to all of them)
+ *
+ * @return {Array} data for each repo + subtotals + all repos
  */
-async function writeCSV(data) {
-    const createCsvWriter = require('csv-writer').createObjectCsvWriter;
+function buildReportRows(reposByOwner, owners, startDate, endDate, scope) {
+    var data = [];
+    var allRepos = [];
+    reposByOwner.forEach(function(repos, index) {
+        var owner = owners[index].owner;
+        var ownerData = repos.map(repo => processRepo(repo, owner, startDate, endDate, scope));
+        data = data.concat(ownerData);
+        allRepos = allRepos.concat(ownerData);
+        if (owners.length > 1) {
+            data.push(aggregateRepoData(ownerData, owner, scope));
+        }
+    });
+    data.push(aggregateRepoData(allRepos, undefined, scope));
+    return data;
+}
 
-    // Format filename
+/**
+ * Splits the time period into weeks, months or quarters (based on the
+ * granularity provided) and builds the report rows for each of them,
+ * so the whole time series comes from one fetch. Only the period metrics
+ * are calculated for each of them; the metrics for all time don't depend
+ * on the period, so they are calculated once and added to each row.
+ * 
+ * @param {Array} reposByOwner raw data from GitHub API for the repos of each owner
+ * @param {Array} owners list of {owner, repoList} objects, in the same order
+ *
+ * @return {Array} data for each repo + subtotals + all repos, for each period
+ */
+function buildTrendRows(reposByOwner, owners) {
+    var buckets = periods.splitPeriod(START_DATE, END_DATE, OPTIONS.granularity);
+    var allTimeRows = buildReportRows(reposByOwner, owners, START_DATE, END_DATE, 'allTime');
+    return utils.concatenateLists(buckets.map(function(bucket) {
+        return buildReportRows(reposByOwner, owners, bucket.start, bucket.end, 'period').map(function(row, index) {
+            return Object.assign({}, allTimeRows[index], row, {
+                period: bucket.label,
+                periodStart: utils.formatDate(bucket.start),
+                periodEnd: utils.formatDate(bucket.end)
+            });
+        });
+    }));
+}
+
+/**
+ * Formats the reporting period as a string, starting with the
+ * period's label if it was given as a period expression 
+ * (e.g. "2024-Q3 | 2024-7-1 -> 2024-10-1").
+ * 
+ * @return {String} the reporting period
+ */
+function getPeriodString() {
+    const dateRangeString = utils.formatDate(START_DATE) + " -> " + utils.formatDate(END_DATE);
+    return PERIOD_LABEL ? PERIOD_LABEL + " | " + dateRangeString : dateRangeString;
+}
+
+/**
+ * Formats the path of a report file in the output folder.
+ * 
+ * @param {String} extension file extension of the report (e.g. "csv")
+ * @param {String} suffix added to the end of the file name (optional, e.g. "by month")
+ *
+ * @return {String} path of the report file
+ */
+function getReportFilePath(extension, suffix) {
     const now = new Date();
     const dateString = utils.formatDate(now);
-    const periodString = utils.formatDate(START_DATE) + " -> " + utils.formatDate(END_DATE);
-    const filePath = 'reports/' + dateString + " | " + periodString + '.csv';
-
-    // Make CSV writer with the column ids and headings
-    const csvWriter = createCsvWriter({
-        path: filePath,
-        header: [
-            {id: 'repo', title: 'Repo Name'},
-
-            // These metrics are for all time as of the time of the script running
-            {id: 'stars', title: 'Stars'},
-            {id: 'watches', title: 'Watches'},
-            {id: 'forks', title: 'Forks'},
-            {id: 'issues', title: 'Issues'},
-            {id: 'internalIssues', title: 'Issues (Internal)'},
-            {id: 'externalIssues', title: 'Issues (External)'},
-            {id: 'openIssues', title: 'Open Issues'},
-            {id: 'staleIssues', title: 'Stale Issues (No activity for >14 days)'},
-            {id: 'percentStaleIssues', title: '% Stale Issues'},
-            {id: 'oldIssues', title: 'Old Issues (Open for >120 days)'},
-            {id: 'percentOldIssues', title: '% Old Issues'},
-            {id: 'percentIssuesClosedByPullRequest', title: '% Issues Closed by Pull Request'},
-            {id: 'averageIssueOpenTime', title: 'Average Issue Open Time (Days)'},
-            {id: 'pullRequests', title: 'Pull Requests'},
-            {id: 'internalPullRequests', title: 'Pull Requests (Internal)'},
-            {id: 'externalPullRequests', title: 'Pull Requests (External)'},
-            {id: 'openPullRequests', title: 'Open Pull Requests'},
-            {id: 'averagePullRequestMergeTime', title: 'Average Pull Request Time to Merge (Days)'},
-            {id: 'contributorsAllTime', title: 'Contributors (All Time)'},
-            {id: 'contributorsAllTimeInternal', title: 'Contributors (All Time - Internal)'},
-            {id: 'contributorsAllTimeExternal', title: 'Contributors (All Time - External)'},
-
-            // These metrics are for the time period provided through command line arguments
-            {id: 'openedIssues', title: 'Issues Opened'},
-            {id: 'openedIssuesInternal', title: 'Issues Opened (Internal)'},
-            {id: 'openedIssuesExternal', title: 'Issues Opened (External)'},
-            {id: 'openedIssuesFirstTimeContributor', title: 'Issues Opened (First Time Contributor)'},
-            {id: 'closedIssues', title: 'Issues Closed'},
-            {id: 'openedPullRequests', title: 'Pull Requests Opened'},
-            {id: 'openedPullRequestsInternal', title: 'Pull Requests Opened (Internal)'},
-            {id: 'openedPullRequestsExternal', title: 'Pull Requests Opened (External)'},
-            {id: 'openedPullRequestsFirstTimeContributor', title: 'Pull Requests Opened (First Time Contributor)'},
-            {id: 'mergedPullRequests', title: 'Pull Requests Merged'},
-            {id: 'closedPullRequests', title: 'Pull Requests Closed'},
-            {id: 'contributorsThisPeriod', title: 'Contributors (This Period)'},
-            {id: 'contributorsThisPeriodInternal', title: 'Contributors (This Period - Internal)'},
-            {id: 'contributorsThisPeriodExternal', title: 'Contributors (This Period - External)'},
-            {id: 'contributorsThisPeriodFirstTimeContributor', title: 'Contributors (This Period - First Time Contributor)'}
-        ]
-    });
+    const periodString = getPeriodString();
+    const suffixString = suffix ? " | " + suffix : "";
+    return path.join(OPTIONS.outputDir, dateString + " | " + periodString + suffixString + '.' + extension);
+}
 
-    // Write the .csv file and log when successful
-    csvWriter.writeRecords(data).then(() => console.log('The CSV file ("' + filePath + '") was written successfully'));
+/**
+ * Makes the .csv column ids, headings and units for the metrics for all time.
+ * 
+ * @return {Array} list of {id, title, unit} objects
+ */
+function getAllTimeCSVHeader() {
+    return metrics.getHeader('allTime', OPTIONS);
 }
 
-// Create global START_DATE and END_DATE variables to be set in the validateCommandLineArguments function
+/**
+ * Makes the .csv column ids, headings and units for the metrics for the time period.
+ * 
+ * @return {Array} list of {id, title, unit} objects
+ */
+function getPeriodCSVHeader() {
+    return metrics.getHeader('period', OPTIONS);
+}
+
+/**
+ * Makes the .csv column ids, headings and units for the change in the period 
+ * metrics since the previous period (when comparing with the previous period).
+ * 
+ * @return {Array} list of {id, title, unit} objects
+ */
+function getComparisonCSVHeader() {
+    return compare.getComparisonHeader(getPeriodCSVHeader());
+}
+
+/**
+ * Makes the .csv column ids and headings for the report.
+ * 
+ * @return {Array} list of {id, title, unit} objects
+ */
+function getCSVHeader() {
+    return [
+        {id: 'owner', title: 'Owner'},
+        {id: 'repo', title: 'Repo Name'}
+    ].concat(
+        // These metrics are for all time as of the time of the script running
+        getAllTimeCSVHeader(),
+
+        // These metrics are for the time period provided through command line arguments
+        getPeriodCSVHeader(),
+
+        // These columns compare the time period with the previous one (only with --compare-previous)
+        OPTIONS.comparePrevious ? getComparisonCSVHeader() : []
+    );
+}
+
+/**
+ * Makes the .csv column ids and headings for the trend report.
+ * 
+ * @return {Array} list of {id, title, unit} objects
+ */
+function getTrendCSVHeader() {
+    return [
+        {id: 'period', title: 'Period'},
+        {id: 'periodStart', title: 'Period Start', unit: 'date'},
+        {id: 'periodEnd', title: 'Period End', unit: 'date'},
+        {id: 'owner', title: 'Owner'},
+        {id: 'repo', title: 'Repo Name'}
+    ].concat(getPeriodCSVHeader());
+}
+
+/**
+ * Describes what a report was made with (the time period, settings 
+ * and config), so it can be included in the .json reports.
+ * 
+ * @param {Array} owners list of owner entries from the config
+ * @param {Array} repoLists names of the repos queried for each owner, in the same order
+ *
+ * @return {JSON} the report's metadata
+ */
+function getReportMetadata(owners, repoLists) {
+    return {
+        generatedAt: new Date(),
+        asOf: OPTIONS.asOf,
+        period: {
+            label: PERIOD_LABEL || null,
+            start: START_DATE,
+            end: END_DATE
+        },
+        staleDays: OPTIONS.staleDays,
+        oldDays: OPTIONS.oldDays,
+        config: {
+            owners: owners.map((ownerConfig, index) => Object.assign({}, ownerConfig, {repoList: repoLists[index]})),
+            labelGroups: OPTIONS.labelGroups
+        }
+    };
+}
+
+/**
+ * Writes the repos that could not be fetched (and the owners whose repos
+ * could not be discovered) and the reason each of them failed into a
+ * .json file in the output folder.
+ * 
+ * @param {Array} failures list of {owner, repo, error} objects (repo is null for owners)
+ */
+function writeFailures(failures) {
+    // Format filename and make sure the output folder exists
+    const filePath = getReportFilePath('json', 'failures');
+    fs.mkdirSync(OPTIONS.outputDir, {recursive: true});
+
+    fs.writeFileSync(filePath, JSON.stringify(failures, null, 2));
+    console.log(failures.length + " of the repositories (or owners) could not be fetched and were left out of the report. They are listed in the failures file (\"" + filePath + "\")");
+    console.log();
+}
+
+// Create global START_DATE, END_DATE, PERIOD_LABEL, CONFIG and OPTIONS (including the date the data is as of) variables to be set in the validateCommandLineArguments function
 var START_DATE;
 var END_DATE;
+var PERIOD_LABEL;
+var CONFIG;
+var OPTIONS;
+
+// Create global IDENTITIES and ROSTER variables to be set once the repos are fetched (see identity.createIdentities and roster.createRoster)
+var IDENTITIES;
+var ROSTER;
+
+/**
+ * Parses a command line option that must be a positive whole number.
+ *
+ * @param {String} value value of the option (undefined if it wasn't provided)
+ * @param {Number} defaultValue value to use if the option wasn't provided
+ *
+ * @return {Number} the number, or NaN if value isn't a positive whole number
+ */
+function parsePositiveInteger(value, defaultValue) {
+    if (value === undefined) {
+        return defaultValue;
+    }
+    return /^\d+$/.test(value) && Number(value) > 0 ? Number(value) : NaN;
+}
 
 /**
- * Validate that the command line arguments are correct and set START_DATE and END_DATE
+ * Validate that the command line arguments are correct and set START_DATE, END_DATE,
+ * CONFIG and OPTIONS
  *
- * Ensures that command line arguments are correct (correct # of arguments, correct format, 
- * valid dates, start date before end date)
+ * Ensures that command line arguments are correct (known options, correct # of dates, 
+ * correct format, valid dates, start date before end date, valid option values)
  *
- * @return {Boolean} Are the command line arguments valid?
+ * @return {Boolean} Are the command line arguments valid (false when only showing the usage)?
  */
 function validateCommandLineArguments() {
-    // Validate that there are 4 command line arguments (first 2 are always path to node executable and path to script file)
-    if (process.argv.length != 4) {
-        console.log("Invalid inputs - please provide exactly 2 command line arguments (start date and end date).");
+    // Parse the command line arguments (first 2 are always path to node executable and path to script file)
+    var parsed;
+    try {
+        parsed = cli.parseCommandLineArguments(process.argv.slice(2));
+    } catch (error) {
+        console.log(error.message);
         utils.logExampleCommandLineArguments();
         return false;
     }
+    var options = parsed.options;
 
-    // Validate that the command line arguments are in the right form
-    if (!utils.isValidDateString(process.argv[2]) || !utils.isValidDateString(process.argv[3])) {
-        console.log("Invalid inputs - please provide dates in the format YYYY-MM-DD.");
-        utils.logExampleCommandLineArguments();
+    // Show the usage instead of running when asked for help (which isn't an error)
+    if (options.help) {
+        cli.logUsage();
+        process.exitCode = 0;
         return false;
     }
 
-    /**
-     * Make date objects from the command line arguments
-     * The added time (" 00:00:00") is to fix a small bug in the way the Date is parsed for the .csv file name
-     */ 
-    START_DATE = new Date(process.argv[2] + " 00:00:00");
-    END_DATE = new Date(process.argv[3] + " 00:00:00");
+    // A single period expression can be given instead of the 2 dates (e.g. last-month)
+    var periodExpression = options.period;
+    if (!periodExpression && !options.start && !options.end && parsed.positional.length == 1 && !utils.isValidDateString(parsed.positional[0])) {
+        periodExpression = parsed.positional[0];
+    }
+
+    if (periodExpression) {
+        // Validate that the period is the only time period provided
+        if (options.start || options.end || parsed.positional.length > (options.period ? 0 : 1)) {
+            console.log("Invalid inputs - please provide either a period or a start date and end date, not both.");
+            utils.logExampleCommandLineArguments();
+            return false;
+        }
+
+        // Validate that the period expression is recognized
+        var period = periods.resolvePeriod(periodExpression);
+        if (!period) {
+            console.log("Invalid inputs - unknown period \"" + periodExpression + "\" (run with --help to see the supported periods).");
+            utils.logExampleCommandLineArguments();
+            return false;
+        }
+
+        START_DATE = period.start;
+        END_DATE = period.end;
+        PERIOD_LABEL = period.label;
+    } else {
+        // Validate that there are exactly 2 dates, either as positional arguments or as --start and --end
+        var startDateString = options.start || parsed.positional[0];
+        var endDateString = options.end || parsed.positional[options.start ? 0 : 1];
+        var dateCount = parsed.positional.length + (options.start ? 1 : 0) + (options.end ? 1 : 0);
+        if (dateCount != 2 || !startDateString || !endDateString) {
+            console.log("Invalid inputs - please provide exactly 2 command line arguments (start date and end date).");
+            utils.logExampleCommandLineArguments();
+            return false;
+        }
+
+        // Validate that the command line arguments are in the right form
+        if (!utils.isValidDateString(startDateString) || !utils.isValidDateString(endDateString)) {
+            console.log("Invalid inputs - please provide dates in the format YYYY-MM-DD.");
+            utils.logExampleCommandLineArguments();
+            return false;
+        }
+
+        // Make date objects (at midnight UTC) from the command line arguments
+        START_DATE = new Date(startDateString + "T00:00:00Z");
+        END_DATE = new Date(endDateString + "T00:00:00Z");
+    }
 
     // Validate that start date is a valid date
     if (!utils.isValidDate(START_DATE)) {
@@ -718,13 +1023,191 @@ function validateCommandLineArguments() {
         return false;
     }
 
+    OPTIONS = {
+        outputDir: options.outputDir || 'reports',
+        formats: utils.uniqueList((options.format || "csv").split(",").map(format => format.trim().toLowerCase())),
+        staleDays: parsePositiveInteger(options.staleDays, metrics.DEFAULT_OPTIONS.staleDays),
+        oldDays: parsePositiveInteger(options.oldDays, metrics.DEFAULT_OPTIONS.oldDays),
+        concurrency: parsePositiveInteger(options.concurrency, client.DEFAULT_CONCURRENCY),
+        granularity: options.granularity ? options.granularity.toLowerCase() : undefined,
+        top: parsePositiveInteger(options.top, 10),
+        snapshotDir: options.snapshotDir || 'snapshots',
+        saveSnapshot: !options.noSnapshot,
+        fullFetch: Boolean(options.fullFetch),
+        comparePrevious: Boolean(options.comparePrevious),
+        funnel: Boolean(options.funnel),
+        leaderboard: Boolean(options.leaderboard),
+        asOf: new Date(),
+        dryRun: Boolean(options.dryRun)
+    };
+
+    // Validate that the report formats are supported
+    var unknownFormats = OPTIONS.formats.filter(format => !outputs.FORMATS.includes(format));
+    if (unknownFormats.length > 0) {
+        console.log("Invalid inputs - unknown format " + unknownFormats.join(", ") + " (supported formats: " + outputs.FORMATS.join(", ") + ").");
+        utils.logExampleCommandLineArguments();
+        return false;
+    }
+
+    // Validate that the granularity of the trend report is supported
+    if (OPTIONS.granularity && !periods.GRANULARITIES.includes(OPTIONS.granularity)) {
+        console.log("Invalid inputs - unknown granularity " + OPTIONS.granularity + " (supported granularities: " + periods.GRANULARITIES.join(", ") + ").");
+        utils.logExampleCommandLineArguments();
+        return false;
+    }
+
+    // Validate that the contributor funnel has periods to follow the contributors across
+    if (OPTIONS.funnel && !OPTIONS.granularity) {
+        console.log("Invalid inputs - --funnel needs a --granularity to split the time period into weeks, months or quarters.");
+        utils.logExampleCommandLineArguments();
+        return false;
+    }
+
+    // Validate that the number of concurrent requests is a positive whole number
+    if (isNaN(OPTIONS.concurrency)) {
+        console.log("Invalid inputs - --concurrency must be a positive whole number.");
+        utils.logExampleCommandLineArguments();
+        return false;
+    }
+    client.setConcurrency(OPTIONS.concurrency);
+
+    // Validate that the number of most active repos is a positive whole number
+    if (isNaN(OPTIONS.top)) {
+        console.log("Invalid inputs - --top must be a positive whole number.");
+        utils.logExampleCommandLineArguments();
+        return false;
+    }
+
+    // Validate that the stale and old day thresholds are positive whole numbers
+    if (isNaN(OPTIONS.staleDays) || isNaN(OPTIONS.oldDays)) {
+        console.log("Invalid inputs - --stale-days and --old-days must be positive whole numbers.");
+        utils.logExampleCommandLineArguments();
+        return false;
+    }
+
+    // Read the alias file that maps several logins and emails to one person
+    if (options.aliases) {
+        try {
+            OPTIONS.aliases = identity.readAliases(path.resolve(options.aliases));
+        } catch (error) {
+            console.log("Invalid inputs - could not read the alias file " + path.resolve(options.aliases) + " (" + error.message + ").");
+            utils.logExampleCommandLineArguments();
+            return false;
+        }
+    }
+
+    // Read the roster file that classifies the team members as internal
+    if (options.roster) {
+        try {
+            OPTIONS.roster = roster.readRoster(path.resolve(options.roster));
+        } catch (error) {
+            console.log("Invalid inputs - could not read the roster file " + path.resolve(options.roster) + " (" + error.message + ").");
+            utils.logExampleCommandLineArguments();
+            return false;
+        }
+
+        // Validate that the teams can be fetched
+        if (options.fromSnapshot && OPTIONS.roster.teams.length > 0) {
+            console.log("Invalid inputs - the members of the roster's teams can't be fetched when reading from a snapshot.");
+            utils.logExampleCommandLineArguments();
+            return false;
+        }
+    }
+
+    if (options.fromSnapshot) {
+        // Read the owners and repos from the snapshot's manifest instead of the config file
+        try {
+            OPTIONS.fromSnapshot = snapshots.resolveSnapshotDir(OPTIONS.snapshotDir, options.fromSnapshot);
+            var manifest = snapshots.readManifest(OPTIONS.fromSnapshot);
+            CONFIG = {owners: manifest.owners};
+            OPTIONS.asOf = manifest.createdAt;
+        } catch (error) {
+            console.log("Invalid inputs - could not read the snapshot " + options.fromSnapshot + " (" + error.message + ").");
+            utils.logExampleCommandLineArguments();
+            return false;
+        }
+
+        // The snapshot doesn't have the label groups, so they are only read from a config file given on the command line
+        if (options.config) {
+            try {
+                CONFIG.labelGroups = JSON.parse(fs.readFileSync(path.resolve(options.config), 'utf8')).labelGroups;
+            } catch (error) {
+                console.log("Invalid inputs - could not read the config file " + path.resolve(options.config) + " (" + error.message + ").");
+                utils.logExampleCommandLineArguments();
+                return false;
+            }
+        }
+    } else {
+        // Find the previous snapshot to only query updates since, unless a full fetch was asked for
+        if (!OPTIONS.fullFetch) {
+            try {
+                var previousSnapshotDir = snapshots.resolveSnapshotDir(OPTIONS.snapshotDir, 'latest');
+                var previousManifest = snapshots.readManifest(previousSnapshotDir);
+                OPTIONS.previousSnapshot = {
+                    dir: previousSnapshotDir,
+                    createdAt: previousManifest.createdAt,
+                    manifest: previousManifest
+                };
+            } catch (error) {
+                // There is no previous snapshot, so everything is queried
+            }
+        }
+
+        // Read the config file
+        var configPath = options.config ? path.resolve(options.config) : path.join(__dirname, 'config.json');
+        try {
+            CONFIG = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        } catch (error) {
+            console.log("Invalid inputs - could not read the config file " + configPath + " (" + error.message + ").");
+            utils.logExampleCommandLineArguments();
+            return false;
+        }
+    }
+
+    // Validate the label groups issues are broken down by (the defaults if the config has none)
+    try {
+        OPTIONS.labelGroups = metrics.validateLabelGroups(CONFIG.labelGroups || metrics.DEFAULT_OPTIONS.labelGroups);
+    } catch (error) {
+        console.log("Invalid inputs - the label groups of the config are not valid (" + error.message + ").");
+        utils.logExampleCommandLineArguments();
+        return false;
+    }
+
+    // Narrow the config down to the owner and repos provided, if any
+    try {
+        var repoList = options.repos ? options.repos.split(",").map(repo => repo.trim()).filter(repo => repo) : undefined;
+        CONFIG = utils.overrideConfig(CONFIG, options.owner, repoList);
+    } catch (error) {
+        console.log(error.message);
+        utils.logExampleCommandLineArguments();
+        return false;
+    }
+
+    // Validate that a snapshot isn't asked to discover repos it doesn't have
+    if (OPTIONS.fromSnapshot && CONFIG.owners.some(ownerConfig => ownerConfig.discover)) {
+        console.log("Invalid inputs - the snapshot at " + OPTIONS.fromSnapshot + " has no data for owner " + options.owner + ".");
+        utils.logExampleCommandLineArguments();
+        return false;
+    }
+
     // Command line arguments have been validated
+    console.log("Reporting period: " + getPeriodString());
+    if (OPTIONS.comparePrevious) {
+        var previousPeriod = compare.getPreviousPeriod(START_DATE, END_DATE);
+        console.log("Comparing with the previous period: " + utils.formatDate(previousPeriod.start) + " -> " + utils.formatDate(previousPeriod.end));
+    }
+    console.log();
     return true;
 }
 
 // Validate command line arguments before starting the main process
 if (validateCommandLineArguments()) {
-    // Start the main process
-    fetchProcessAndWriteGitHubData();
+    // Start the main process and exit with an error code if it fails
+    fetchProcessAndWriteGitHubData(CONFIG).catch(function(error) {
+        console.error("Could not write the report: " + (error && error.stack ? error.stack : error));
+        process.exitCode = 1;
+    });
+} else if (process.exitCode === undefined) {
+    // Exit with an error code if the command line arguments are invalid
+    process.exitCode = 1;
 }
-   
@@ -0,0 +1,136 @@
+/**
+ * Lists each contributor across all of the repos in the config with what
+ * they did during the time period and at any point: the issues and pull
+ * requests they opened, their pull requests that were merged, their commits,
+ * the repos they contributed to and the dates of their first and last
+ * activity, along with whether they are internal or external.
+ *
+ * The contributors are ranked by their activity during the time period, so
+ * the most active external contributors can be thanked. Deleted accounts are
+ * all counted under one "ghost" contributor, so they aren't ranked (or
+ * classified) but listed together on a last row.
+ */
+
+// Import utils functions from utils.js
+var utils = require('./utils.js');
+
+// Import the contributor that deleted users are counted under from identity.js
+var identity = require('./identity.js');
+
+// Name of the row of the deleted accounts
+const DELETED_ACCOUNTS = 'Deleted accounts';
+
+// Activity of each contributor that is listed, for the time period and for all time
+const ACTIVITY_COLUMNS = [
+    {id: 'issuesOpened', title: 'Issues Opened', unit: 'count'},
+    {id: 'pullRequestsOpened', title: 'Pull Requests Opened', unit: 'count'},
+    {id: 'pullRequestsMerged', title: 'Pull Requests Merged', unit: 'count'},
+    {id: 'commits', title: 'Commits', unit: 'count'},
+    {id: 'repos', title: 'Repos', unit: 'count'},
+    {id: 'firstActivity', title: 'First Activity', unit: 'date'},
+    {id: 'lastActivity', title: 'Last Activity', unit: 'date'}
+];
+
+/**
+ * Makes the column ids, headings and units of the leaderboard.
+ *
+ * @return {Array} list of {id, title, unit} objects
+ */
+function getLeaderboardHeader() {
+    return [
+        {id: 'rank', title: 'Rank', unit: 'count'},
+        {id: 'contributor', title: 'Contributor', unit: 'text'},
+        {id: 'internal', title: 'Internal'},
+        {id: 'external', title: 'External'},
+        {id: 'classifiedBy', title: 'Classified By', unit: 'text'}
+    ].concat(
+        ACTIVITY_COLUMNS.map(column => ({id: column.id + 'ThisPeriod', title: column.title + ' (This Period)', unit: column.unit})),
+        ACTIVITY_COLUMNS.map(column => ({id: column.id + 'AllTime', title: column.title + ' (All Time)', unit: column.unit}))
+    );
+}
+
+/**
+ * Adds up the issues, pull requests and commits of a contributor's activity.
+ *
+ * @param {JSON} activity the contributor's activity (see metrics.contributorActivity), or undefined if there is none
+ *
+ * @return {Number} total activity
+ */
+function getTotalActivity(activity) {
+    return activity ? activity.issuesOpened + activity.pullRequestsOpened + activity.pullRequestsMerged + activity.commits : 0;
+}
+
+/**
+ * Adds the activity of a contributor during the time period and of all
+ * time to their leaderboard row.
+ *
+ * @param {JSON} row the contributor's leaderboard row
+ * @param {JSON} periodActivity the contributor's activity during the time period, or undefined if there is none
+ * @param {JSON} allTimeActivity the contributor's activity of all time, or undefined if there is none
+ *
+ * @return {JSON} the row
+ */
+function addActivityColumns(row, periodActivity, allTimeActivity) {
+    // Contributors without any activity during the time period have 0s and no dates for it
+    [['ThisPeriod', periodActivity], ['AllTime', allTimeActivity]].forEach(function([suffix, activity]) {
+        ACTIVITY_COLUMNS.forEach(function(column) {
+            if (column.unit === 'date') {
+                row[column.id + suffix] = activity ? utils.formatDate(new Date(activity[column.id])) : undefined;
+            } else {
+                row[column.id + suffix] = activity ? activity[column.id] : 0;
+            }
+        });
+    });
+    return row;
+}
+
+/**
+ * Builds the leaderboard from the TOTAL row of the report, with a row for
+ * each contributor ranked by their activity during the time period (and
+ * then by their activity of all time). The deleted accounts are left out
+ * of the ranking and listed on a last row without a rank.
+ *
+ * @param {JSON} total TOTAL row of the report
+ *
+ * @return {JSON} the leaderboard's rows and header
+ */
+function buildLeaderboard(total) {
+    var periodActivity = total.contributorActivityThisPeriod;
+    var allTimeActivity = total.contributorActivityAllTime;
+    var contributors = utils.unionSets(Object.keys(allTimeActivity), Object.keys(periodActivity));
+
+    var rows = Array.from(contributors).filter(contributor => contributor !== identity.GHOST).sort(function(a, b) {
+        return getTotalActivity(periodActivity[b]) - getTotalActivity(periodActivity[a]) ||
+            getTotalActivity(allTimeActivity[b]) - getTotalActivity(allTimeActivity[a]) ||
+            a.localeCompare(b);
+    }).map(function(contributor, index) {
+        return addActivityColumns({
+            rank: index + 1,
+            contributor: contributor,
+            internal: Boolean(allTimeActivity[contributor] && allTimeActivity[contributor].internal),
+            external: Boolean(allTimeActivity[contributor] && allTimeActivity[contributor].external),
+            classifiedBy: total.contributorClassifications[contributor]
+        }, periodActivity[contributor], allTimeActivity[contributor]);
+    });
+
+    // The deleted accounts are neither internal nor external, since they are many people
+    if (contributors.has(identity.GHOST)) {
+        rows.push(addActivityColumns({
+            rank: undefined,
+            contributor: DELETED_ACCOUNTS,
+            internal: false,
+            external: false,
+            classifiedBy: undefined
+        }, periodActivity[identity.GHOST], allTimeActivity[identity.GHOST]));
+    }
+
+    return {
+        rows: rows,
+        header: getLeaderboardHeader()
+    };
+}
+
+// Export these functions so they can be used in index.js
+module.exports = {
+    buildLeaderboard
+};
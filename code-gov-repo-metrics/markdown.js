@@ -0,0 +1,173 @@
+/**
+ * Renders the report as a Markdown summary that can be pasted into a
+ * GitHub issue or wiki page: the highlights of the time period, a table
+ * of the most active repos, the most active external contributors and the
+ * contributor funnel (when there are a leaderboard and a funnel) and an
+ * appendix with every metric of each repo.
+ *
+ * The headings come from the same column definitions as the .csv report,
+ * so the two always use the same names.
+ */
+
+// Import utils functions from utils.js
+var utils = require('./utils.js');
+
+// Metrics of the total row listed in the highlights
+const HIGHLIGHT_METRICS = [
+    'contributorsThisPeriodFirstTimeContributor',
+    'contributorsThisPeriod',
+    'openedIssues',
+    'closedIssues',
+    'openedPullRequests',
+    'mergedPullRequests'
+];
+
+// Columns of the leaderboard listed in the table of the most active external contributors
+const LEADERBOARD_COLUMNS = [
+    'issuesOpenedThisPeriod',
+    'pullRequestsOpenedThisPeriod',
+    'pullRequestsMergedThisPeriod',
+    'commitsThisPeriod',
+    'reposThisPeriod'
+];
+
+// Period metrics that are added up to rank the most active repos
+const ACTIVITY_METRICS = [
+    'openedIssues',
+    'closedIssues',
+    'openedPullRequests',
+    'mergedPullRequests'
+];
+
+/**
+ * Escapes a value so it can be used in a Markdown table cell.
+ *
+ * @param {*} value value to escape
+ *
+ * @return {String} the escaped value
+ */
+function escapeCell(value) {
+    return String(value).replace(/\|/g, "\\|").replace(/\n/g, " ");
+}
+
+/**
+ * Renders a Markdown table.
+ *
+ * @param {Array} headings headings of the columns
+ * @param {Array} rows list of rows, each a list of cell values
+ * @param {Array} alignments "left" or "right" for each column
+ *
+ * @return {String} Markdown of the table
+ */
+function renderTable(headings, rows, alignments) {
+    var renderRow = cells => "| " + cells.map(escapeCell).join(" | ") + " |\n";
+    return renderRow(headings) +
+        "| " + alignments.map(alignment => alignment === "right" ? "---:" : ":---").join(" | ") + " |\n" +
+        rows.map(renderRow).join("");
+}
+
+/**
+ * Adds up the period activity of a repo (issues opened and closed,
+ * pull requests opened and merged).
+ *
+ * @param {JSON} row report row of the repo
+ *
+ * @return {Number} total activity
+ */
+function getActivity(row) {
+    return utils.sumList(ACTIVITY_METRICS.map(id => row[id]));
+}
+
+/**
+ * Renders the report as a Markdown summary.
+ *
+ * @param {JSON} report the report to render (see outputs.writeReports)
+ * @param {Number} top how many repos (and external contributors) are listed in the tables of the most active ones
+ *
+ * @return {String} Markdown of the summary
+ */
+function renderSummary(report, top) {
+    var getColumn = id => report.header.find(column => column.id === id);
+    var total = report.rows.find(row => utils.isTotalRow(row));
+    var repos = report.rows.filter(row => !utils.isAggregateRow(row));
+    var period = report.metadata.period;
+    var periodString = (period.label ? period.label + ": " : "") + utils.formatDate(period.start) + " -> " + utils.formatDate(period.end);
+
+    var markdown = "# Repository Metrics\n\n";
+    markdown += "_" + periodString + " (generated " + utils.formatDate(report.metadata.generatedAt) + ", " + repos.length + " repositories)_\n\n";
+
+    // Highlights of the time period across all repos
+    markdown += "## Highlights\n\n";
+    HIGHLIGHT_METRICS.forEach(function(id) {
+        markdown += "- **" + getColumn(id).title + ":** " + total[id];
+
+        // Show the change since the previous period when comparing with it
+        if (total[id + "Change"] !== undefined) {
+            markdown += " (" + (total[id + "Change"] > 0 ? "+" : "") + total[id + "Change"] + " since the previous period" + (total[id + "PercentChange"] === "N/A" ? "" : ", " + total[id + "PercentChange"]) + ")";
+        }
+        markdown += "\n";
+    });
+    if (total.significantChanges) {
+        markdown += "- **Significant changes:** " + total.significantChanges + "\n";
+    }
+    markdown += "\n";
+
+    // The most active repos during the time period, leaving out those without any activity
+    var activeRepos = repos.filter(row => getActivity(row) > 0).sort((a, b) => getActivity(b) - getActivity(a)).slice(0, top);
+    markdown += "## Most Active Repositories\n\n";
+    if (activeRepos.length === 0) {
+        markdown += "No issues or pull requests were opened, closed or merged during this period.\n\n";
+    } else {
+        markdown += renderTable(
+            ["#", "Repository"].concat(ACTIVITY_METRICS.map(id => getColumn(id).title)),
+            activeRepos.map((row, index) => [index + 1, row.owner + "/" + row.repo].concat(ACTIVITY_METRICS.map(id => row[id]))),
+            ["right", "left"].concat(ACTIVITY_METRICS.map(() => "right"))
+        ) + "\n";
+    }
+
+    // The external contributors with the most activity during the time period, e.g. to thank them
+    if (report.leaderboard) {
+        var getLeaderboardColumn = id => report.leaderboard.header.find(column => column.id === id);
+        var activeContributors = report.leaderboard.rows
+            .filter(row => row.external && utils.sumList(LEADERBOARD_COLUMNS.map(id => row[id])) > 0)
+            .slice(0, top);
+        markdown += "## Most Active External Contributors\n\n";
+        if (activeContributors.length === 0) {
+            markdown += "No external contributors were active during this period.\n\n";
+        } else {
+            markdown += renderTable(
+                ["#", "Contributor"].concat(LEADERBOARD_COLUMNS.map(id => getLeaderboardColumn(id).title)),
+                activeContributors.map((row, index) => [index + 1, row.contributor].concat(LEADERBOARD_COLUMNS.map(id => row[id]))),
+                ["right", "left"].concat(LEADERBOARD_COLUMNS.map(() => "right"))
+            ) + "\n";
+        }
+    }
+
+    // New, returning and repeat external contributors of each period, and how many of each cohort came back
+    if (report.funnel) {
+        var alignments = header => header.map(column => column.unit === "text" || column.unit === "date" ? "left" : "right");
+        var funnelHeader = report.funnel.header.filter(column => column.id !== 'periodStart' && column.id !== 'periodEnd');
+        markdown += "## Contributor Funnel\n\n";
+        markdown += renderTable(funnelHeader.map(column => column.title), report.funnel.rows.map(row => funnelHeader.map(column => row[column.id])), alignments(funnelHeader)) + "\n";
+        markdown += "**Cohort Retention**\n\n";
+        markdown += renderTable(report.funnel.cohortHeader.map(column => column.title), report.funnel.cohortRows.map(row => report.funnel.cohortHeader.map(column => row[column.id])), alignments(report.funnel.cohortHeader)) + "\n";
+    }
+
+    // Every metric of each repo, collapsed so the summary stays short
+    markdown += "## All Repositories\n\n";
+    repos.forEach(function(row) {
+        markdown += "<details>\n<summary>" + row.owner + "/" + row.repo + "</summary>\n\n";
+        report.columnGroups.forEach(function(group) {
+            markdown += "**" + group.title + "**\n\n";
+            markdown += renderTable(["Metric", "Value"], group.header.map(column => [column.title, row[column.id]]), ["left", "right"]) + "\n";
+        });
+        markdown += "</details>\n\n";
+    });
+
+    return markdown;
+}
+
+// Export these functions so they can be used in outputs.js
+module.exports = {
+    renderSummary
+};
@@ -0,0 +1,1394 @@
+/**
+ * The metric registry. Each metric is defined once, with its id, title,
+ * unit, description, how it is computed for a repo and how it is aggregated
+ * across repos. The report rows, the subtotal and total rows, the report
+ * headers and the tables in DATASCHEMA.md are all generated from it.
+ *
+ * Adding a metric to the report is one entry in METRICS. The metrics of
+ * the label groups (see labelGroupMetrics) are added to them, since the
+ * label groups can be changed in the config.
+ */
+
+// Import utils functions from utils.js
+var utils = require('./utils.js');
+
+// Import contributor identity resolution from identity.js
+var identity = require('./identity.js');
+
+// Import the roster based classification of contributors from roster.js
+var roster = require('./roster.js');
+
+// Default settings that metrics depend on (can be changed through command line options and the config)
+const DEFAULT_OPTIONS = {
+    staleDays: 14,
+    oldDays: 120,
+
+    // Issues are broken down by these groups of labels, by the name each group is reported as
+    labelGroups: {
+        "Bugs": ["bug"],
+        "Enhancements": ["enhancement"],
+        "Help Wanted": ["help wanted"],
+        "Good First Issues": ["good first issue"]
+    }
+};
+
+// Symbol of each unit in DATASCHEMA.md
+const UNIT_SYMBOLS = {
+    count: '#',
+    percent: '%',
+    days: 'Days',
+    hours: 'Hours',
+    text: 'Text'
+};
+
+/**
+ * Creates the context metrics are computed from for a repo: its raw data,
+ * its issues, pull requests and commits, the time period, the settings,
+ * the identities contributors are resolved with and the roster they
+ * are classified with (along with the association of each user with
+ * the repo, see getAssociations).
+ *
+ * Merge commits are left out, since their changes are already in the
+ * commits that were merged.
+ *
+ * @param {JSON} repo raw data from GitHub API
+ * @param {Date} startDate start of the time period
+ * @param {Date} endDate end of the time period
+ * @param {JSON} options settings of the run (asOf, staleDays, oldDays, labelGroups)
+ * @param {JSON} identities identities of the contributors (see identity.createIdentities, defaults to those of the repo)
+ * @param {JSON} teamRoster roster of the team (see roster.createRoster), or undefined if there is none
+ *
+ * @return {JSON} the context for the metrics' compute functions
+ */
+function createContext(repo, startDate, endDate, options, identities, teamRoster) {
+    var history = utils.getCommitHistory(repo);
+    var commits = (history ? history.nodes : []).filter(commit => !commit.parents || commit.parents.totalCount <= 1);
+
+    var context = {
+        repo: repo,
+        issues: repo.repository.issues.nodes,
+        pullRequests: repo.repository.pullRequests.nodes,
+        commits: commits,
+        startDate: startDate,
+        endDate: endDate,
+        asOf: options.asOf,
+        staleDays: options.staleDays,
+        oldDays: options.oldDays,
+        identities: identities || identity.createIdentities(undefined, [repo]),
+        roster: teamRoster,
+        labelGroups: options.labelGroups
+    };
+    context.associations = getAssociations(context);
+    return context;
+}
+
+// HELPERS FOR COMPUTING METRICS
+
+/**
+ * Determines if a date from GitHub is during the time period.
+ *
+ * @param {JSON} context metric context
+ * @param {String} dateString date from GitHub (can be null)
+ *
+ * @return {Boolean} is there a date and is it during the time period?
+ */
+function isInPeriod(context, dateString) {
+    return Boolean(dateString) && utils.isInPeriod(new Date(dateString), context.startDate, context.endDate);
+}
+
+/**
+ * Filters a list of issues or pull requests to those opened during the time period.
+ *
+ * @param {JSON} context metric context
+ * @param {Array} nodes issues or pull requests
+ *
+ * @return {Array} the issues or pull requests opened during the time period
+ */
+function openedInPeriod(context, nodes) {
+    return nodes.filter(node => isInPeriod(context, node.createdAt));
+}
+
+/**
+ * Determines if the author of an issue, pull request, review or comment
+ * was internal when they made it. Authors in the roster are classified by
+ * it, and the others by the authorAssociation.
+ *
+ * @param {JSON} context metric context
+ * @param {JSON} node issue, pull request, review or comment
+ *
+ * @return {Boolean} was the author internal?
+ */
+function isInternal(context, node) {
+    var contributor = identity.resolveUser(context.identities, node.author);
+    var internalOnDate = roster.isInternalOn(context.roster, contributor, node.createdAt || node.submittedAt);
+    return internalOnDate === undefined ? utils.authorIsInternal(node.authorAssociation) : internalOnDate;
+}
+
+/**
+ * Determines if the author of an issue, pull request, review or comment
+ * was external when they made it (see isInternal).
+ *
+ * @param {JSON} context metric context
+ * @param {JSON} node issue, pull request, review or comment
+ *
+ * @return {Boolean} was the author external?
+ */
+function isExternal(context, node) {
+    var contributor = identity.resolveUser(context.identities, node.author);
+    var internalOnDate = roster.isInternalOn(context.roster, contributor, node.createdAt || node.submittedAt);
+    return internalOnDate === undefined ? utils.authorIsExternal(node.authorAssociation) : !internalOnDate;
+}
+
+/**
+ * Filters a list of issues, pull requests or reviews to those by an internal author.
+ *
+ * @param {JSON} context metric context
+ * @param {Array} nodes issues, pull requests or reviews
+ *
+ * @return {Array} the issues, pull requests or reviews with an internal author
+ */
+function internal(context, nodes) {
+    return nodes.filter(node => isInternal(context, node));
+}
+
+/**
+ * Filters a list of issues, pull requests or reviews to those by an external author.
+ *
+ * @param {JSON} context metric context
+ * @param {Array} nodes issues, pull requests or reviews
+ *
+ * @return {Array} the issues, pull requests or reviews with an external author
+ */
+function external(context, nodes) {
+    return nodes.filter(node => isExternal(context, node));
+}
+
+/**
+ * Filters a list of issues or pull requests to those opened by a first time
+ * contributor. Authors the roster classifies as internal aren't first time contributors.
+ *
+ * @param {JSON} context metric context
+ * @param {Array} nodes issues or pull requests
+ *
+ * @return {Array} the issues or pull requests with a first time contributor as author
+ */
+function firstTimeContributor(context, nodes) {
+    return nodes.filter(node => utils.authorIsFirstTimeContributor(node.authorAssociation) && isExternal(context, node));
+}
+
+/**
+ * Gets the issues and pull requests of a repo, which are its contributions.
+ *
+ * @param {JSON} context metric context
+ *
+ * @return {Array} the issues and pull requests
+ */
+function contributions(context) {
+    return context.issues.concat(context.pullRequests);
+}
+
+/**
+ * Makes the set of the authors of a list of issues or pull requests.
+ * Deleted users are counted as one "ghost" author.
+ *
+ * @param {JSON} context metric context
+ * @param {Array} nodes issues or pull requests
+ *
+ * @return {Set} the authors (see identity.resolveUser)
+ */
+function authors(context, nodes) {
+    return new Set(nodes.map(node => identity.resolveUser(context.identities, node.author)));
+}
+
+/**
+ * Filters a list of commits to those committed during the time period.
+ *
+ * @param {JSON} context metric context
+ * @param {Array} commits commits
+ *
+ * @return {Array} the commits committed during the time period
+ */
+function committedInPeriod(context, commits) {
+    return commits.filter(commit => isInPeriod(context, commit.committedDate));
+}
+
+/**
+ * Makes the set of the authors of a list of commits. The first of a
+ * commit's authors is its git author, followed by the co-authors from
+ * its Co-authored-by trailers.
+ *
+ * @param {JSON} context metric context
+ * @param {Array} commits commits
+ *
+ * @return {Set} the git authors (see identity.resolveCommitAuthor)
+ */
+function commitAuthors(context, commits) {
+    return new Set(commits.filter(commit => commit.authors.nodes.length > 0).map(commit => identity.resolveCommitAuthor(context.identities, commit.authors.nodes[0])));
+}
+
+/**
+ * Makes the set of the co-authors of a list of commits.
+ *
+ * @param {JSON} context metric context
+ * @param {Array} commits commits
+ *
+ * @return {Set} the co-authors (see identity.resolveCommitAuthor)
+ */
+function commitCoAuthors(context, commits) {
+    return new Set(utils.concatenateLists(commits.map(commit => commit.authors.nodes.slice(1))).map(commitAuthor => identity.resolveCommitAuthor(context.identities, commitAuthor)));
+}
+
+/**
+ * Makes the set of the GitHub users who authored or co-authored a list
+ * of commits, which are folded into the contributors. Authors that
+ * aren't linked to a GitHub user are left out, since contributors
+ * are GitHub users.
+ *
+ * @param {JSON} context metric context
+ * @param {Array} commits commits
+ *
+ * @return {Set} the authors and co-authors (see identity.resolveUser)
+ */
+function commitContributors(context, commits) {
+    var allAuthors = utils.concatenateLists(commits.map(commit => commit.authors.nodes));
+    return new Set(allAuthors.filter(commitAuthor => commitAuthor.user).map(commitAuthor => identity.resolveUser(context.identities, commitAuthor.user)));
+}
+
+/**
+ * Makes the set of the commit contributors (see commitContributors) who
+ * the roster classifies as internal (or as external) on the date of one of
+ * their commits. Commits don't have an authorAssociation, so commit
+ * contributors who aren't in the roster are left out.
+ *
+ * @param {JSON} context metric context
+ * @param {Array} commits commits
+ * @param {Boolean} internalContributors make the set of the internal contributors (or of the external ones)
+ *
+ * @return {Set} the classified authors and co-authors (see identity.resolveUser)
+ */
+function classifiedCommitContributors(context, commits, internalContributors) {
+    var contributors = new Set();
+    commits.forEach(function(commit) {
+        commitContributors(context, [commit]).forEach(function(contributor) {
+            if (roster.isInternalOn(context.roster, contributor, commit.committedDate) === internalContributors) {
+                contributors.add(contributor);
+            }
+        });
+    });
+    return contributors;
+}
+
+/**
+ * Makes the classification of each contributor of a repo (see
+ * roster.getSource). Contributors who only authored or co-authored
+ * commits and aren't in the roster can't be classified, since commits
+ * don't have an authorAssociation.
+ *
+ * @param {JSON} context metric context
+ *
+ * @return {JSON} how each contributor was classified (one of roster.SOURCES)
+ */
+function contributorClassifications(context) {
+    var classifications = {};
+    commitContributors(context, context.commits).forEach(function(contributor) {
+        var source = roster.getSource(context.roster, contributor);
+        classifications[contributor] = source === roster.SOURCES.association ? roster.SOURCES.unclassified : source;
+    });
+    authors(context, contributions(context)).forEach(contributor => {classifications[contributor] = roster.getSource(context.roster, contributor)});
+    return classifications;
+}
+
+/**
+ * Calculates the number of days between two dates from GitHub.
+ *
+ * @param {String} start earlier date
+ * @param {String} end later date
+ *
+ * @return {Number} days between the dates
+ */
+function daysBetween(start, end) {
+    return utils.millisecondsToDays(new Date(end) - new Date(start));
+}
+
+/**
+ * Filters a list of issues to those that are open.
+ *
+ * @param {JSON} context metric context
+ *
+ * @return {Array} the open issues
+ */
+function openIssues(context) {
+    return context.issues.filter(issue => issue.state === "OPEN");
+}
+
+/**
+ * Determines if an open issue is stale (no activity for more than
+ * staleDays days). The last activity is either the last event in
+ * the issue's timeline or the creation of the issue.
+ *
+ * @param {JSON} context metric context
+ * @param {JSON} issue open issue
+ *
+ * @return {Boolean} is the issue stale?
+ */
+function isStale(context, issue) {
+    var timelineEvents = issue.timelineItems.nodes;
+    var lastTimelineEvent = timelineEvents[timelineEvents.length - 1];
+    var lastEventDate = new Date(lastTimelineEvent ? lastTimelineEvent.createdAt : issue.createdAt);
+    return utils.millisecondsToDays(context.asOf - lastEventDate) > context.staleDays;
+}
+
+/**
+ * Determines if an open issue is old (open for more than oldDays days).
+ *
+ * @param {JSON} context metric context
+ * @param {JSON} issue open issue
+ *
+ * @return {Boolean} is the issue old?
+ */
+function isOld(context, issue) {
+    return utils.millisecondsToDays(context.asOf - new Date(issue.createdAt)) > context.oldDays;
+}
+
+/**
+ * Determines if an issue was closed by a pull request.
+ * Uses any of the issue's closed events, in case there are several.
+ *
+ * @param {JSON} issue closed issue
+ *
+ * @return {Boolean} was the issue closed by a pull request?
+ */
+function isClosedByPullRequest(issue) {
+    return issue.timelineItems.nodes.some(function(timelineItem) {
+        return timelineItem.__typename === "ClosedEvent" && Boolean(timelineItem.closer) && timelineItem.closer.__typename === "PullRequest";
+    });
+}
+
+/**
+ * Filters a list of issues to those that were closed.
+ *
+ * @param {JSON} context metric context
+ *
+ * @return {Array} the closed issues
+ */
+function closedIssues(context) {
+    return context.issues.filter(issue => issue.closedAt);
+}
+
+/**
+ * Filters a list of pull requests to those that were merged.
+ *
+ * @param {JSON} context metric context
+ *
+ * @return {Array} the merged pull requests
+ */
+function mergedPullRequests(context) {
+    return context.pullRequests.filter(pullRequest => pullRequest.mergedAt && pullRequest.state === "MERGED");
+}
+
+/**
+ * Filters a list of issues to those with any of the labels of a label
+ * group. Labels are matched regardless of case. Issues from older
+ * snapshots don't have their labels, so they aren't in any group.
+ *
+ * @param {Array} issues issues
+ * @param {Array} labels names of the labels of the group
+ *
+ * @return {Array} the issues with any of the labels
+ */
+function labeled(issues, labels) {
+    var labelNames = labels.map(label => label.toLowerCase());
+    return issues.filter(issue => Boolean(issue.labels) && issue.labels.nodes.some(label => labelNames.includes(label.name.toLowerCase())));
+}
+
+/**
+ * Calculates how many days each of a list of closed issues was open.
+ *
+ * @param {Array} issues closed issues
+ *
+ * @return {Array} days from each issue being opened to being closed
+ */
+function issueOpenTimes(issues) {
+    return issues.map(issue => daysBetween(issue.createdAt, issue.closedAt));
+}
+
+/**
+ * Calculates how many days each of a list of merged pull requests took to merge.
+ *
+ * @param {Array} pullRequests merged pull requests
+ *
+ * @return {Array} days from each pull request being opened to being merged
+ */
+function pullRequestMergeTimes(pullRequests) {
+    return pullRequests.map(pullRequest => daysBetween(pullRequest.createdAt, pullRequest.mergedAt));
+}
+
+/**
+ * Finds the authorAssociation of each user who opened an issue or pull
+ * request, commented on one or reviewed one in a repo. GitHub doesn't give
+ * the actor of a label or assignment an authorAssociation, so it is looked
+ * up here instead. A user with an internal association on any item is
+ * internal.
+ *
+ * @param {JSON} context metric context
+ *
+ * @return {Map} authorAssociation of each user, by lowercase login
+ */
+function getAssociations(context) {
+    var associations = new Map();
+    var items = utils.concatenateLists(contributions(context).map(node => [node].concat(node.responseItems ? node.responseItems.nodes : [])));
+    items.concat(reviewsOf(context.pullRequests)).filter(item => item.author && item.authorAssociation).forEach(function(item) {
+        var login = item.author.login.toLowerCase();
+        if (!associations.has(login) || utils.authorIsInternal(item.authorAssociation)) {
+            associations.set(login, item.authorAssociation);
+        }
+    });
+    return associations;
+}
+
+/**
+ * Determines if an issue or pull request timeline item is a response by
+ * an internal contributor other than the author: a comment, review, label
+ * or assignment by an internal contributor. The actors of labels and
+ * assignments are classified by the roster on the date of the event or,
+ * if they aren't in it, by their association with the repo (see
+ * getAssociations). Items by bots don't count as a response.
+ *
+ * @param {JSON} context metric context
+ * @param {JSON} node issue or pull request
+ * @param {JSON} timelineItem item from the issue's or pull request's responseItems
+ *
+ * @return {Boolean} is the item a response by an internal contributor?
+ */
+function isInternalResponse(context, node, timelineItem) {
+    var user = timelineItem.author || timelineItem.actor;
+    if (!user || user.__typename === "Bot" || (node.author && user.login === node.author.login)) {
+        return false;
+    }
+    if (timelineItem.__typename === "LabeledEvent" || timelineItem.__typename === "AssignedEvent") {
+        return isInternal(context, {author: user, authorAssociation: context.associations.get(user.login.toLowerCase()), createdAt: timelineItem.createdAt});
+    }
+    return isInternal(context, timelineItem);
+}
+
+/**
+ * Calculates how many hours each of a list of issues or pull requests
+ * opened by external contributors waited for a first response by an
+ * internal contributor. Those without a response yet (or without the
+ * timeline items, from older snapshots) are left out.
+ *
+ * @param {JSON} context metric context
+ * @param {Array} nodes issues or pull requests
+ *
+ * @return {Array} hours from each issue or pull request being opened to its first response
+ */
+function firstResponseTimes(context, nodes) {
+    var times = [];
+    external(context, nodes).forEach(function(node) {
+        var responses = node.responseItems ? node.responseItems.nodes.filter(timelineItem => isInternalResponse(context, node, timelineItem)) : [];
+        if (responses.length > 0) {
+            var firstResponseDate = Math.min(...responses.map(timelineItem => new Date(timelineItem.createdAt)));
+            times.push(utils.millisecondsToHours(firstResponseDate - new Date(node.createdAt)));
+        }
+    });
+    return times;
+}
+
+/**
+ * Gets the submitted reviews of a pull request, leaving out those by
+ * its author (replies to other reviews) and by bots.
+ *
+ * @param {JSON} pullRequest pull request
+ *
+ * @return {Array} the reviews (none for pull requests from older snapshots)
+ */
+function reviews(pullRequest) {
+    if (!pullRequest.reviews) {
+        return [];
+    }
+    return pullRequest.reviews.nodes.filter(function(review) {
+        return review.submittedAt && review.author && review.author.__typename !== "Bot" && (!pullRequest.author || review.author.login !== pullRequest.author.login);
+    });
+}
+
+/**
+ * Gets the reviews of a list of pull requests.
+ *
+ * @param {Array} pullRequests pull requests
+ *
+ * @return {Array} the reviews of all of the pull requests
+ */
+function reviewsOf(pullRequests) {
+    return utils.concatenateLists(pullRequests.map(reviews));
+}
+
+/**
+ * Filters a list of pull requests to those that were merged without a review.
+ *
+ * @param {Array} pullRequests merged pull requests
+ *
+ * @return {Array} the pull requests merged without a review
+ */
+function mergedWithoutReview(pullRequests) {
+    return pullRequests.filter(pullRequest => !reviews(pullRequest).some(review => new Date(review.submittedAt) <= new Date(pullRequest.mergedAt)));
+}
+
+/**
+ * Calculates how many hours each of a list of pull requests waited
+ * for its first review. Pull requests without a review are left out.
+ *
+ * @param {Array} pullRequests pull requests
+ *
+ * @return {Array} hours from each pull request being opened to its first review
+ */
+function firstReviewTimes(pullRequests) {
+    return pullRequests.filter(pullRequest => reviews(pullRequest).length > 0).map(function(pullRequest) {
+        var firstReviewDate = Math.min(...reviews(pullRequest).map(review => new Date(review.submittedAt)));
+        return utils.millisecondsToHours(firstReviewDate - new Date(pullRequest.createdAt));
+    });
+}
+
+/**
+ * Calculates how many hours each of a list of merged pull requests took
+ * to be merged after being approved, from the last approval before the merge.
+ * Pull requests merged without an approval are left out.
+ *
+ * @param {Array} pullRequests merged pull requests
+ *
+ * @return {Array} hours from each pull request being approved to being merged
+ */
+function approvalToMergeTimes(pullRequests) {
+    var times = [];
+    pullRequests.forEach(function(pullRequest) {
+        var mergeDate = new Date(pullRequest.mergedAt);
+        var approvalDates = reviews(pullRequest).filter(review => review.state === "APPROVED").map(review => new Date(review.submittedAt)).filter(date => date <= mergeDate);
+        if (approvalDates.length > 0) {
+            times.push(utils.millisecondsToHours(mergeDate - Math.max(...approvalDates)));
+        }
+    });
+    return times;
+}
+
+/**
+ * Makes the activity of each contributor of a repo: the issues and pull
+ * requests they opened, their pull requests that were merged and the
+ * commits they authored or co-authored (as GitHub users), with the dates
+ * of their first and last activity and whether they contributed as an
+ * internal or external contributor.
+ *
+ * @param {JSON} context metric context
+ * @param {Boolean} inPeriod only count the activity during the time period
+ *
+ * @return {JSON} the activity of each contributor (see identity.resolveUser)
+ */
+function contributorActivity(context, inPeriod) {
+    var activity = {};
+    var addActivity = function(contributor, key, dateString) {
+        if (!activity[contributor]) {
+            activity[contributor] = {
+                issuesOpened: 0,
+                pullRequestsOpened: 0,
+                pullRequestsMerged: 0,
+                commits: 0,
+                repos: 1,
+                internal: false,
+                external: false,
+                firstActivity: dateString,
+                lastActivity: dateString
+            };
+        }
+        var record = activity[contributor];
+        record[key]++;
+        if (new Date(dateString) < new Date(record.firstActivity)) {
+            record.firstActivity = dateString;
+        }
+        if (new Date(dateString) > new Date(record.lastActivity)) {
+            record.lastActivity = dateString;
+        }
+        return record;
+    };
+    var addOpened = function(nodes, key) {
+        (inPeriod ? openedInPeriod(context, nodes) : nodes).forEach(function(node) {
+            var record = addActivity(identity.resolveUser(context.identities, node.author), key, node.createdAt);
+            record.internal = record.internal || isInternal(context, node);
+            record.external = record.external || isExternal(context, node);
+        });
+    };
+
+    addOpened(context.issues, 'issuesOpened');
+    addOpened(context.pullRequests, 'pullRequestsOpened');
+    mergedPullRequests(context).filter(pullRequest => !inPeriod || isInPeriod(context, pullRequest.mergedAt)).forEach(function(pullRequest) {
+        addActivity(identity.resolveUser(context.identities, pullRequest.author), 'pullRequestsMerged', pullRequest.mergedAt);
+    });
+    (inPeriod ? committedInPeriod(context, context.commits) : context.commits).forEach(function(commit) {
+        commitContributors(context, [commit]).forEach(function(contributor) {
+            var record = addActivity(contributor, 'commits', commit.committedDate);
+            var internalOnDate = roster.isInternalOn(context.roster, contributor, commit.committedDate);
+            record.internal = record.internal || internalOnDate === true;
+            record.external = record.external || internalOnDate === false;
+        });
+    });
+
+    return activity;
+}
+
+/**
+ * Combines the activity of each contributor across several repos (see contributorActivity).
+ *
+ * @param {Array} activities activity of each contributor, for each repo
+ *
+ * @return {JSON} the combined activity of each contributor
+ */
+function combineActivity(activities) {
+    var combined = {};
+    activities.forEach(function(activity) {
+        Object.keys(activity).forEach(function(contributor) {
+            var repoActivity = activity[contributor];
+            var record = combined[contributor];
+            if (!record) {
+                combined[contributor] = Object.assign({}, repoActivity);
+                return;
+            }
+            ['issuesOpened', 'pullRequestsOpened', 'pullRequestsMerged', 'commits', 'repos'].forEach(key => {record[key] += repoActivity[key]});
+            record.internal = record.internal || repoActivity.internal;
+            record.external = record.external || repoActivity.external;
+            if (new Date(repoActivity.firstActivity) < new Date(record.firstActivity)) {
+                record.firstActivity = repoActivity.firstActivity;
+            }
+            if (new Date(repoActivity.lastActivity) > new Date(record.lastActivity)) {
+                record.lastActivity = repoActivity.lastActivity;
+            }
+        });
+    });
+    return combined;
+}
+
+// Stats of the distribution of times (e.g. issue open times) reported by distributionMetrics
+const DISTRIBUTION_STATS = [
+    {id: 'median', title: 'Median', description: 'Median time', percentile: 50},
+    {id: 'p75', title: '75th Percentile', description: '75th percentile of the time', percentile: 75},
+    {id: 'p90', title: '90th Percentile', description: '90th percentile of the time', percentile: 90},
+    {id: 'max', title: 'Max', description: 'Longest time', percentile: 100}
+];
+
+/**
+ * Makes a metric for each of the DISTRIBUTION_STATS of a list of times,
+ * which unlike an average aren't skewed by a few very old issues or
+ * pull requests. E.g. for the id "IssueOpenTime", the metrics are
+ * medianIssueOpenTime, p75IssueOpenTime, p90IssueOpenTime and maxIssueOpenTime.
+ *
+ * @param {JSON} distribution id, title, group, description, listId and compute of the metrics, with
+ *                            the id, title and description completing those of each stat, and
+ *                            optionally the unit (default: "days") and the ids of the stats to include
+ *
+ * @return {Array} the metrics
+ */
+function distributionMetrics(distribution) {
+    var stats = distribution.stats ? DISTRIBUTION_STATS.filter(stat => distribution.stats.includes(stat.id)) : DISTRIBUTION_STATS;
+    return stats.map(stat => ({
+        id: stat.id + distribution.id,
+        title: stat.title + ' ' + distribution.title,
+        unit: distribution.unit || 'days',
+        group: distribution.group,
+        description: stat.description + ' ' + distribution.description,
+        aggregation: 'pooled-percentile',
+        percentile: stat.percentile,
+        listId: distribution.listId,
+        compute: distribution.compute
+    }));
+}
+
+/**
+ * Makes the id of a label group from its name, to add to the ids of its
+ * metrics (e.g. "GoodFirstIssues" for "Good First Issues").
+ *
+ * @param {String} name name of the label group
+ *
+ * @return {String} the id
+ */
+function getLabelGroupId(name) {
+    return name.split(/[^A-Za-z0-9]+/).filter(word => word).map(word => word[0].toUpperCase() + word.slice(1)).join("");
+}
+
+/**
+ * Checks the label groups from the config.
+ *
+ * Throws an error with a message for the user if they
+ * aren't in the right form.
+ *
+ * @param {JSON} labelGroups names of the labels of each group, by the name each group is reported as
+ *
+ * @return {JSON} the label groups
+ */
+function validateLabelGroups(labelGroups) {
+    if (!labelGroups || typeof labelGroups !== "object" || Array.isArray(labelGroups)) {
+        throw new Error("labelGroups must be an object with a list of labels for each group");
+    }
+    var ids = new Set();
+    Object.keys(labelGroups).forEach(function(name) {
+        var labels = labelGroups[name];
+        if (!Array.isArray(labels) || labels.length === 0 || !labels.every(label => typeof label === "string")) {
+            throw new Error("the labels of " + name + " must be a list of label names");
+        }
+        var id = getLabelGroupId(name);
+        if (!id || ids.has(id)) {
+            throw new Error("the name of each label group must have letters or digits, and be different from the others (" + name + ")");
+        }
+        ids.add(id);
+    });
+    return labelGroups;
+}
+
+/**
+ * Makes the metrics of the issues with the labels of a label group: the
+ * open issues and their time to close for all time, and the issues opened
+ * and closed and the time to close of those closed during the time period.
+ *
+ * @param {String} name name of the label group (e.g. "Bugs")
+ * @param {Array} labels names of the labels of the group (e.g. ["bug", "type: bug"])
+ *
+ * @return {Array} the metrics
+ */
+function labelGroupMetrics(name, labels) {
+    var id = getLabelGroupId(name);
+    return [
+        {
+            id: 'openIssues' + id, title: 'Open Issues (' + name + ')', unit: 'count', group: 'allTime',
+            description: '# of open issues with a label of the ' + name + ' group 🏷️',
+            aggregation: 'sum', compute: context => labeled(openIssues(context), labels).length
+        },
+        ...distributionMetrics({
+            id: 'IssueOpenTime' + id, title: 'Issue Open Time (Days, ' + name + ')', group: 'allTime', stats: ['median'],
+            description: 'from an issue with a label of the ' + name + ' group being opened to being closed 🏷️',
+            listId: 'issueOpenTimes' + id, compute: context => issueOpenTimes(labeled(closedIssues(context), labels))
+        }),
+        {
+            id: 'openedIssues' + id, title: 'Issues Opened (' + name + ')', unit: 'count', group: 'period',
+            description: '# of issues with a label of the ' + name + ' group opened during the period 🏷️',
+            aggregation: 'sum', compute: context => labeled(openedInPeriod(context, context.issues), labels).length
+        },
+        {
+            id: 'closedIssues' + id, title: 'Issues Closed (' + name + ')', unit: 'count', group: 'period',
+            description: '# of issues with a label of the ' + name + ' group closed during the period 🏷️',
+            aggregation: 'sum', compute: context => labeled(context.issues.filter(issue => isInPeriod(context, issue.closedAt)), labels).length
+        },
+        ...distributionMetrics({
+            id: 'IssueOpenTimeThisPeriod' + id, title: 'Issue Open Time (Days, ' + name + ', Closed This Period)', group: 'period', stats: ['median'],
+            description: 'from an issue with a label of the ' + name + ' group being opened to being closed, for the issues closed during the period 🏷️',
+            listId: 'issueOpenTimesThisPeriod' + id, compute: context => issueOpenTimes(labeled(closedIssues(context).filter(issue => isInPeriod(context, issue.closedAt)), labels))
+        })
+    ];
+}
+
+/**
+ * The metrics in the report.
+ *
+ * Each metric has:
+ *  - id: key of the metric in the report rows
+ *  - title: heading of the metric's column (or a function that makes it from the settings)
+ *  - unit: "count", "percent", "days", "hours" or "text"
+ *  - group: "allTime" or "period" (metrics without a group are only kept to aggregate other metrics)
+ *  - scope: "allTime" or "period", for the metrics without a group
+ *  - description: description of the metric for DATASCHEMA.md
+ *  - aggregation: how the metric is computed and aggregated across repos (see AGGREGATIONS)
+ *  - compute: function that computes the metric from a repo's context (not used by ratios), returning
+ *    a number for sums, a Set for union sizes, a list of numbers for pooled averages and percentiles
+ *    a count of each item for rankings, a value for each item for lookups and the activity of each contributor for activities
+ *  - listId: key of the Set, list or counts in the report rows (union sizes, pooled averages, percentiles and rankings)
+ *  - exclude: listIds of the Sets whose items are left out when combining across repos (union sizes)
+ *  - unknownValue: value of an item that is replaced by its value in another repo when combining (lookups)
+ *  - percentile: percentile of the list that is reported (pooled percentiles)
+ *  - limit: how many of the items with the highest counts are listed (rankings)
+ *  - numerator, denominator: ids of the metrics a ratio is made of
+ *  - swing: flag significant changes in the metric when comparing with the previous period (period metrics only)
+ */
+const METRICS = [
+    // These metrics are for all time as of the time of the script running
+    {
+        id: 'stars', title: 'Stars', unit: 'count', group: 'allTime',
+        description: '# of stars ⭐',
+        aggregation: 'sum', compute: context => utils.getStarCount(context.repo)
+    },
+    {
+        id: 'watches', title: 'Watches', unit: 'count', group: 'allTime',
+        description: '# of watches 👀',
+        aggregation: 'sum', compute: context => utils.getWatchCount(context.repo)
+    },
+    {
+        id: 'forks', title: 'Forks', unit: 'count', group: 'allTime',
+        description: '# of forks 🍴',
+        aggregation: 'sum', compute: context => utils.getForkCount(context.repo)
+    },
+    {
+        id: 'issues', title: 'Issues', unit: 'count', group: 'allTime',
+        description: '# of issues (all time) ❗',
+        aggregation: 'sum', compute: context => utils.getIssueCount(context.repo)
+    },
+    {
+        id: 'internalIssues', title: 'Issues (Internal)', unit: 'count', group: 'allTime',
+        description: '# of issues (all time) created by an internal contributor ❗',
+        aggregation: 'sum', compute: context => internal(context, context.issues).length
+    },
+    {
+        id: 'externalIssues', title: 'Issues (External)', unit: 'count', group: 'allTime',
+        description: '# of issues (all time) created by an external contributor ❗',
+        aggregation: 'sum', compute: context => external(context, context.issues).length
+    },
+    {
+        id: 'openIssues', title: 'Open Issues', unit: 'count', group: 'allTime',
+        description: '# of issues currently open ❗',
+        aggregation: 'sum', compute: context => openIssues(context).length
+    },
+    {
+        id: 'staleIssues', title: options => 'Stale Issues (No activity for >' + options.staleDays + ' days)', unit: 'count', group: 'allTime',
+        description: '# of issues currently stale ❗',
+        aggregation: 'sum', compute: context => openIssues(context).filter(issue => isStale(context, issue)).length
+    },
+    {
+        id: 'percentStaleIssues', title: '% Stale Issues', unit: 'percent', group: 'allTime',
+        description: '% of open issues that are stale ❗',
+        aggregation: 'ratio', numerator: 'staleIssues', denominator: 'openIssues'
+    },
+    {
+        id: 'oldIssues', title: options => 'Old Issues (Open for >' + options.oldDays + ' days)', unit: 'count', group: 'allTime',
+        description: '# of issues currently old ❗',
+        aggregation: 'sum', compute: context => openIssues(context).filter(issue => isOld(context, issue)).length
+    },
+    {
+        id: 'percentOldIssues', title: '% Old Issues', unit: 'percent', group: 'allTime',
+        description: '% of open issues that are old ❗',
+        aggregation: 'ratio', numerator: 'oldIssues', denominator: 'openIssues'
+    },
+    {
+        id: 'closedByPullRequestIssues', title: 'Issues Closed by Pull Request', unit: 'count', scope: 'allTime',
+        aggregation: 'sum', compute: context => context.issues.filter(issue => issue.closedAt && isClosedByPullRequest(issue)).length
+    },
+    {
+        id: 'closedIssuesTotal', title: 'Closed Issues', unit: 'count', scope: 'allTime',
+        aggregation: 'sum', compute: context => closedIssues(context).length
+    },
+    {
+        id: 'percentIssuesClosedByPullRequest', title: '% Issues Closed by Pull Request', unit: 'percent', group: 'allTime',
+        description: '% of closed issues that were closed by a pull request ❗',
+        aggregation: 'ratio', numerator: 'closedByPullRequestIssues', denominator: 'closedIssuesTotal'
+    },
+    {
+        id: 'averageIssueOpenTime', title: 'Average Issue Open Time (Days)', unit: 'days', group: 'allTime',
+        description: 'Average time from an issue being opened to being closed ⌚',
+        aggregation: 'pooled-average', listId: 'issueOpenTimes',
+        compute: context => issueOpenTimes(closedIssues(context))
+    },
+    ...distributionMetrics({
+        id: 'IssueOpenTime', title: 'Issue Open Time (Days)', group: 'allTime',
+        description: 'from an issue being opened to being closed ⌚',
+        listId: 'issueOpenTimes', compute: context => issueOpenTimes(closedIssues(context))
+    }),
+    {
+        id: 'pullRequests', title: 'Pull Requests', unit: 'count', group: 'allTime',
+        description: '# of pull requests (all time) 🛵',
+        aggregation: 'sum', compute: context => utils.getPullRequestCount(context.repo)
+    },
+    {
+        id: 'internalPullRequests', title: 'Pull Requests (Internal)', unit: 'count', group: 'allTime',
+        description: '# of pull requests (all time) created by an internal contributor 🛵',
+        aggregation: 'sum', compute: context => internal(context, context.pullRequests).length
+    },
+    {
+        id: 'externalPullRequests', title: 'Pull Requests (External)', unit: 'count', group: 'allTime',
+        description: '# of pull requests (all time) created by an external contributor 🛵',
+        aggregation: 'sum', compute: context => external(context, context.pullRequests).length
+    },
+    {
+        id: 'openPullRequests', title: 'Open Pull Requests', unit: 'count', group: 'allTime',
+        description: '# of pull requests currently open 🛵',
+        aggregation: 'sum', compute: context => context.pullRequests.filter(pullRequest => pullRequest.state === "OPEN").length
+    },
+    {
+        id: 'averagePullRequestMergeTime', title: 'Average Pull Request Time to Merge (Days)', unit: 'days', group: 'allTime',
+        description: 'Average time from a pull request being opened to being merged ⌚',
+        aggregation: 'pooled-average', listId: 'pullRequestOpenTimes',
+        compute: context => pullRequestMergeTimes(mergedPullRequests(context))
+    },
+    ...distributionMetrics({
+        id: 'PullRequestMergeTime', title: 'Pull Request Time to Merge (Days)', group: 'allTime',
+        description: 'from a pull request being opened to being merged ⌚',
+        listId: 'pullRequestOpenTimes', compute: context => pullRequestMergeTimes(mergedPullRequests(context))
+    }),
+    ...distributionMetrics({
+        id: 'FirstResponseTime', title: 'Time to First Response (Hours)', group: 'allTime', unit: 'hours', stats: ['median', 'p90'],
+        description: 'from an issue or pull request being opened by an external contributor to the first comment, review, label or assignment by an internal contributor 💬',
+        listId: 'firstResponseTimes', compute: context => firstResponseTimes(context, contributions(context))
+    }),
+    {
+        id: 'pullRequestReviews', title: 'Pull Request Reviews', unit: 'count', group: 'allTime',
+        description: '# of pull request reviews (all time) 🔍',
+        aggregation: 'sum', compute: context => reviewsOf(context.pullRequests).length
+    },
+    {
+        id: 'internalPullRequestReviews', title: 'Pull Request Reviews (Internal)', unit: 'count', group: 'allTime',
+        description: '# of pull request reviews (all time) by an internal contributor 🔍',
+        aggregation: 'sum', compute: context => internal(context, reviewsOf(context.pullRequests)).length
+    },
+    {
+        id: 'externalPullRequestReviews', title: 'Pull Request Reviews (External)', unit: 'count', group: 'allTime',
+        description: '# of pull request reviews (all time) by an external contributor 🔍',
+        aggregation: 'sum', compute: context => external(context, reviewsOf(context.pullRequests)).length
+    },
+    ...distributionMetrics({
+        id: 'FirstReviewTime', title: 'Time to First Review (Hours)', group: 'allTime', unit: 'hours', stats: ['median', 'p90'],
+        description: 'from a pull request being opened to its first review 🔍',
+        listId: 'firstReviewTimes', compute: context => firstReviewTimes(context.pullRequests)
+    }),
+    ...distributionMetrics({
+        id: 'ApprovalToMergeTime', title: 'Time from Approval to Merge (Hours)', group: 'allTime', unit: 'hours', stats: ['median', 'p90'],
+        description: 'from a pull request being approved to being merged, for the pull requests merged after an approval 🔍',
+        listId: 'approvalToMergeTimes', compute: context => approvalToMergeTimes(mergedPullRequests(context))
+    }),
+    {
+        id: 'mergedPullRequestsTotal', title: 'Merged Pull Requests', unit: 'count', scope: 'allTime',
+        aggregation: 'sum', compute: context => mergedPullRequests(context).length
+    },
+    {
+        id: 'mergedWithoutReviewPullRequests', title: 'Pull Requests Merged Without Review', unit: 'count', scope: 'allTime',
+        aggregation: 'sum', compute: context => mergedWithoutReview(mergedPullRequests(context)).length
+    },
+    {
+        id: 'percentPullRequestsMergedWithoutReview', title: '% Pull Requests Merged Without Review', unit: 'percent', group: 'allTime',
+        description: '% of merged pull requests that were merged without a review 🔍',
+        aggregation: 'ratio', numerator: 'mergedWithoutReviewPullRequests', denominator: 'mergedPullRequestsTotal'
+    },
+    {
+        id: 'topReviewers', title: 'Top Reviewers', unit: 'text', group: 'allTime',
+        description: 'The 5 people who have submitted the most pull request reviews, with their # of reviews 🔍',
+        aggregation: 'ranking', listId: 'reviewCounts', limit: 5,
+        compute: context => utils.countList(reviewsOf(context.pullRequests).map(review => identity.resolveUser(context.identities, review.author)))
+    },
+    {
+        id: 'contributorsAllTime', title: 'Contributors (All Time)', unit: 'count', group: 'allTime',
+        description: 'Number of people who have made a contribution to the repo at any point 👩🏽‍💻',
+        aggregation: 'union-size', listId: 'contributorsListAllTime',
+        compute: context => utils.unionSets(authors(context, contributions(context)), commitContributors(context, context.commits))
+    },
+    {
+        id: 'contributorsAllTimeInternal', title: 'Contributors (All Time - Internal)', unit: 'count', group: 'allTime',
+        description: 'Number of internal contributors who have made a contribution to the repo at any point 👩🏽‍💻',
+        aggregation: 'union-size', listId: 'contributorsListAllTimeInternal',
+        compute: context => utils.unionSets(authors(context, internal(context, contributions(context))), classifiedCommitContributors(context, context.commits, true))
+    },
+    {
+        id: 'contributorsAllTimeExternal', title: 'Contributors (All Time - External)', unit: 'count', group: 'allTime',
+        description: 'Number of external contributors who have made a contribution to the repo at any point 👩🏽‍💻',
+        aggregation: 'union-size', listId: 'contributorsListAllTimeExternal',
+        compute: context => utils.unionSets(authors(context, external(context, contributions(context))), classifiedCommitContributors(context, context.commits, false))
+    },
+    {
+        id: 'contributorsAllTimeUnclassified', title: 'Contributors (All Time - Unclassified)', unit: 'count', group: 'allTime',
+        description: 'Number of contributors who have only authored commits on the default branch, at any point, and can\'t be classified as internal or external since they aren\'t in the roster 👩🏽‍💻',
+        aggregation: 'union-size', listId: 'contributorsListAllTimeUnclassified', exclude: ['contributorsListAllTimeInternal', 'contributorsListAllTimeExternal'],
+        compute: context => utils.differenceSets(commitContributors(context, context.commits), authors(context, contributions(context)), classifiedCommitContributors(context, context.commits, true), classifiedCommitContributors(context, context.commits, false))
+    },
+    {
+        id: 'contributorClassifications', title: 'Contributor Classifications', scope: 'allTime',
+        aggregation: 'lookup',
+        unknownValue: roster.SOURCES.unclassified, compute: contributorClassifications
+    },
+    {
+        id: 'contributorActivityAllTime', title: 'Contributor Activity (All Time)', scope: 'allTime',
+        aggregation: 'activity', compute: context => contributorActivity(context, false)
+    },
+    {
+        id: 'commits', title: 'Commits', unit: 'count', group: 'allTime',
+        description: '# of commits on the default branch (all time) 📝',
+        aggregation: 'sum', compute: context => context.commits.length
+    },
+    {
+        id: 'commitAuthorsAllTime', title: 'Commit Authors (All Time)', unit: 'count', group: 'allTime',
+        description: 'Number of people who have authored a commit on the default branch at any point 📝',
+        aggregation: 'union-size', listId: 'commitAuthorsListAllTime',
+        compute: context => commitAuthors(context, context.commits)
+    },
+    {
+        id: 'commitCoAuthorsAllTime', title: 'Commit Co-Authors (All Time)', unit: 'count', group: 'allTime',
+        description: 'Number of people who have co-authored a commit on the default branch at any point 📝',
+        aggregation: 'union-size', listId: 'commitCoAuthorsListAllTime',
+        compute: context => commitCoAuthors(context, context.commits)
+    },
+
+    // These metrics are for the time period provided through command line arguments
+    {
+        id: 'openedIssues', title: 'Issues Opened', unit: 'count', group: 'period',
+        description: '# of issues opened during the period ❗',
+        swing: true,
+        aggregation: 'sum', compute: context => openedInPeriod(context, context.issues).length
+    },
+    {
+        id: 'openedIssuesInternal', title: 'Issues Opened (Internal)', unit: 'count', group: 'period',
+        description: '# of issues opened by an internal contributor during the period ❗',
+        aggregation: 'sum', compute: context => internal(context, openedInPeriod(context, context.issues)).length
+    },
+    {
+        id: 'openedIssuesExternal', title: 'Issues Opened (External)', unit: 'count', group: 'period',
+        description: '# of issues opened by an external contributor during the period ❗',
+        aggregation: 'sum', compute: context => external(context, openedInPeriod(context, context.issues)).length
+    },
+    {
+        id: 'openedIssuesFirstTimeContributor', title: 'Issues Opened (First Time Contributor)', unit: 'count', group: 'period',
+        description: '# of issues opened by a first time contributor during the period ❗',
+        aggregation: 'sum', compute: context => firstTimeContributor(context, openedInPeriod(context, context.issues)).length
+    },
+    {
+        id: 'closedIssues', title: 'Issues Closed', unit: 'count', group: 'period',
+        description: '# of issues closed during the period ❌',
+        aggregation: 'sum', compute: context => context.issues.filter(issue => isInPeriod(context, issue.closedAt)).length
+    },
+    ...distributionMetrics({
+        id: 'IssueOpenTimeThisPeriod', title: 'Issue Open Time (Days, Closed This Period)', group: 'period',
+        description: 'from an issue being opened to being closed, for the issues closed during the period ⌚',
+        listId: 'issueOpenTimesThisPeriod', compute: context => issueOpenTimes(closedIssues(context).filter(issue => isInPeriod(context, issue.closedAt)))
+    }),
+    {
+        id: 'openedPullRequests', title: 'Pull Requests Opened', unit: 'count', group: 'period',
+        description: '# of pull requests opened during the period 🛵',
+        aggregation: 'sum', compute: context => openedInPeriod(context, context.pullRequests).length
+    },
+    {
+        id: 'openedPullRequestsInternal', title: 'Pull Requests Opened (Internal)', unit: 'count', group: 'period',
+        description: '# of pull requests opened by an internal contributor during the period 🛵',
+        aggregation: 'sum', compute: context => internal(context, openedInPeriod(context, context.pullRequests)).length
+    },
+    {
+        id: 'openedPullRequestsExternal', title: 'Pull Requests Opened (External)', unit: 'count', group: 'period',
+        description: '# of pull requests opened by an external contributor during the period 🛵',
+        aggregation: 'sum', compute: context => external(context, openedInPeriod(context, context.pullRequests)).length
+    },
+    {
+        id: 'openedPullRequestsFirstTimeContributor', title: 'Pull Requests Opened (First Time Contributor)', unit: 'count', group: 'period',
+        description: '# of pull requests opened by a first time contributor during the period 🛵',
+        aggregation: 'sum', compute: context => firstTimeContributor(context, openedInPeriod(context, context.pullRequests)).length
+    },
+    {
+        id: 'mergedPullRequests', title: 'Pull Requests Merged', unit: 'count', group: 'period',
+        description: '# of pull requests merged during the period :squirrel:',
+        swing: true,
+        aggregation: 'sum', compute: context => mergedPullRequests(context).filter(pullRequest => isInPeriod(context, pullRequest.mergedAt)).length
+    },
+    {
+        id: 'closedPullRequests', title: 'Pull Requests Closed', unit: 'count', group: 'period',
+        description: '# of pull requests closed without being merged during the period ❌',
+        aggregation: 'sum', compute: context => context.pullRequests.filter(pullRequest => pullRequest.state === "CLOSED" && isInPeriod(context, pullRequest.closedAt)).length
+    },
+    ...distributionMetrics({
+        id: 'PullRequestMergeTimeThisPeriod', title: 'Pull Request Time to Merge (Days, Merged This Period)', group: 'period',
+        description: 'from a pull request being opened to being merged, for the pull requests merged during the period ⌚',
+        listId: 'pullRequestOpenTimesThisPeriod', compute: context => pullRequestMergeTimes(mergedPullRequests(context).filter(pullRequest => isInPeriod(context, pullRequest.mergedAt)))
+    }),
+    ...distributionMetrics({
+        id: 'FirstResponseTimeThisPeriod', title: 'Time to First Response (Hours, Opened This Period)', group: 'period', unit: 'hours', stats: ['median', 'p90'],
+        description: 'from an issue or pull request being opened by an external contributor to the first comment, review, label or assignment by an internal contributor, for those opened during the period 💬',
+        listId: 'firstResponseTimesThisPeriod', compute: context => firstResponseTimes(context, openedInPeriod(context, contributions(context)))
+    }),
+    {
+        id: 'pullRequestReviewsThisPeriod', title: 'Pull Request Reviews (This Period)', unit: 'count', group: 'period',
+        description: '# of pull request reviews submitted during the period 🔍',
+        aggregation: 'sum', compute: context => reviewsOf(context.pullRequests).filter(review => isInPeriod(context, review.submittedAt)).length
+    },
+    {
+        id: 'pullRequestReviewsThisPeriodInternal', title: 'Pull Request Reviews (This Period - Internal)', unit: 'count', group: 'period',
+        description: '# of pull request reviews submitted by an internal contributor during the period 🔍',
+        aggregation: 'sum', compute: context => internal(context, reviewsOf(context.pullRequests)).filter(review => isInPeriod(context, review.submittedAt)).length
+    },
+    {
+        id: 'pullRequestReviewsThisPeriodExternal', title: 'Pull Request Reviews (This Period - External)', unit: 'count', group: 'period',
+        description: '# of pull request reviews submitted by an external contributor during the period 🔍',
+        aggregation: 'sum', compute: context => external(context, reviewsOf(context.pullRequests)).filter(review => isInPeriod(context, review.submittedAt)).length
+    },
+    {
+        id: 'mergedWithoutReviewPullRequestsThisPeriod', title: 'Pull Requests Merged Without Review (This Period)', unit: 'count', scope: 'period',
+        aggregation: 'sum', compute: context => mergedWithoutReview(mergedPullRequests(context).filter(pullRequest => isInPeriod(context, pullRequest.mergedAt))).length
+    },
+    {
+        id: 'percentPullRequestsMergedWithoutReviewThisPeriod', title: '% Pull Requests Merged Without Review (This Period)', unit: 'percent', group: 'period',
+        description: '% of the pull requests merged during the period that were merged without a review 🔍',
+        aggregation: 'ratio', numerator: 'mergedWithoutReviewPullRequestsThisPeriod', denominator: 'mergedPullRequests'
+    },
+    {
+        id: 'contributorsThisPeriod', title: 'Contributors (This Period)', unit: 'count', group: 'period',
+        description: 'Number of people who have made a contribution to the repo during the period 👩🏽‍💻',
+        swing: true,
+        aggregation: 'union-size', listId: 'contributorsListThisPeriod',
+        compute: context => utils.unionSets(authors(context, openedInPeriod(context, contributions(context))), commitContributors(context, committedInPeriod(context, context.commits)))
+    },
+    {
+        id: 'contributorsThisPeriodInternal', title: 'Contributors (This Period - Internal)', unit: 'count', group: 'period',
+        description: 'Number of internal contributors who have made a contribution to the repo during the period 👩🏽‍💻',
+        aggregation: 'union-size', listId: 'contributorsListThisPeriodInternal',
+        compute: context => utils.unionSets(authors(context, internal(context, openedInPeriod(context, contributions(context)))), classifiedCommitContributors(context, committedInPeriod(context, context.commits), true))
+    },
+    {
+        id: 'contributorsThisPeriodExternal', title: 'Contributors (This Period - External)', unit: 'count', group: 'period',
+        description: 'Number of external contributors who have made a contribution to the repo during the period 👩🏽‍💻',
+        aggregation: 'union-size', listId: 'contributorsListThisPeriodExternal',
+        compute: context => utils.unionSets(authors(context, external(context, openedInPeriod(context, contributions(context)))), classifiedCommitContributors(context, committedInPeriod(context, context.commits), false))
+    },
+    {
+        id: 'contributorsThisPeriodUnclassified', title: 'Contributors (This Period - Unclassified)', unit: 'count', group: 'period',
+        description: 'Number of contributors who have only authored commits on the default branch during the period, and can\'t be classified as internal or external since they aren\'t in the roster 👩🏽‍💻',
+        aggregation: 'union-size', listId: 'contributorsListThisPeriodUnclassified', exclude: ['contributorsListThisPeriodInternal', 'contributorsListThisPeriodExternal'],
+        compute: function(context) {
+            var commits = committedInPeriod(context, context.commits);
+            return utils.differenceSets(commitContributors(context, commits), authors(context, openedInPeriod(context, contributions(context))), classifiedCommitContributors(context, commits, true), classifiedCommitContributors(context, commits, false));
+        }
+    },
+    {
+        id: 'contributorsThisPeriodFirstTimeContributor', title: 'Contributors (This Period - First Time Contributor)', unit: 'count', group: 'period',
+        description: 'Number of first time contributors who have made a contribution to the repo during the period 👩🏽‍💻',
+        aggregation: 'union-size', listId: 'contributorsListThisPeriodFirstTimeContributor',
+        compute: context => authors(context, firstTimeContributor(context, openedInPeriod(context, contributions(context))))
+    },
+    {
+        id: 'contributorActivityThisPeriod', title: 'Contributor Activity (This Period)', scope: 'period',
+        aggregation: 'activity', compute: context => contributorActivity(context, true)
+    },
+    {
+        id: 'commitsThisPeriod', title: 'Commits (This Period)', unit: 'count', group: 'period',
+        description: '# of commits on the default branch committed during the period 📝',
+        aggregation: 'sum', compute: context => committedInPeriod(context, context.commits).length
+    },
+    {
+        id: 'linesAdded', title: 'Lines Added', unit: 'count', group: 'period',
+        description: '# of lines added by the commits on the default branch committed during the period 📝',
+        aggregation: 'sum', compute: context => utils.sumList(committedInPeriod(context, context.commits).map(commit => commit.additions))
+    },
+    {
+        id: 'linesDeleted', title: 'Lines Deleted', unit: 'count', group: 'period',
+        description: '# of lines deleted by the commits on the default branch committed during the period 📝',
+        aggregation: 'sum', compute: context => utils.sumList(committedInPeriod(context, context.commits).map(commit => commit.deletions))
+    },
+    {
+        id: 'commitAuthorsThisPeriod', title: 'Commit Authors (This Period)', unit: 'count', group: 'period',
+        description: 'Number of people who have authored a commit on the default branch during the period 📝',
+        aggregation: 'union-size', listId: 'commitAuthorsListThisPeriod',
+        compute: context => commitAuthors(context, committedInPeriod(context, context.commits))
+    },
+    {
+        id: 'commitCoAuthorsThisPeriod', title: 'Commit Co-Authors (This Period)', unit: 'count', group: 'period',
+        description: 'Number of people who have co-authored a commit on the default branch during the period 📝',
+        aggregation: 'union-size', listId: 'commitCoAuthorsListThisPeriod',
+        compute: context => commitCoAuthors(context, committedInPeriod(context, context.commits))
+    }
+];
+
+/**
+ * How each kind of metric is aggregated.
+ *
+ * setValue stores the metric (and the Set or list behind it) in a row from
+ * the result of its compute function or of combine. combine merges the
+ * metric across several rows. Ratios are set after all of the other metrics,
+ * from the metrics they are made of, so they don't have a combine.
+ */
+const AGGREGATIONS = {
+    // Added up across repos
+    'sum': {
+        setValue: function(metric, value, values) {
+            values[metric.id] = value;
+        },
+        combine: (metric, rows) => utils.sumList(rows.map(row => row[metric.id]))
+    },
+
+    // Size of a Set, combined across repos so each item is only counted once (e.g. contributors)
+    'union-size': {
+        setValue: function(metric, set, values) {
+            values[metric.listId] = set;
+            values[metric.id] = set.size;
+        },
+        combine: function(metric, rows) {
+            // Items that are in one of the excluded Sets of any of the rows (e.g. contributors classified in another repo) are left out
+            var excluded = utils.concatenateLists((metric.exclude || []).map(listId => rows.map(row => row[listId])));
+            return utils.differenceSets(utils.unionSets(...rows.map(row => row[metric.listId])), ...excluded);
+        }
+    },
+
+    // Average of a list of numbers, pooled across repos instead of averaging the averages
+    'pooled-average': {
+        setValue: function(metric, list, values) {
+            values[metric.listId] = list;
+            values[metric.id] = utils.averageList(list);
+        },
+        combine: (metric, rows) => utils.concatenateLists(rows.map(row => row[metric.listId]))
+    },
+
+    // Percentile of a list of numbers, pooled across repos instead of combining each repo's percentile
+    'pooled-percentile': {
+        setValue: function(metric, list, values) {
+            values[metric.listId] = list;
+            values[metric.id] = utils.percentileList(list, metric.percentile);
+        },
+        combine: (metric, rows) => utils.concatenateLists(rows.map(row => row[metric.listId]))
+    },
+
+    // Items with the highest counts (e.g. "alice (12), bob (7)"), combined across repos by adding up the counts
+    'ranking': {
+        setValue: function(metric, counts, values) {
+            values[metric.listId] = counts;
+            values[metric.id] = Object.keys(counts)
+                .sort((a, b) => counts[b] - counts[a] || a.localeCompare(b))
+                .slice(0, metric.limit)
+                .map(item => item + " (" + counts[item] + ")")
+                .join(", ");
+        },
+        combine: (metric, rows) => utils.sumCounts(rows.map(row => row[metric.listId]))
+    },
+
+    // A value for each item (e.g. how each contributor was classified), combined across repos
+    'lookup': {
+        setValue: function(metric, lookup, values) {
+            values[metric.id] = lookup;
+        },
+        combine: function(metric, rows) {
+            // The unknown value of an item in one repo doesn't replace its value in another
+            var lookup = {};
+            rows.forEach(function(row) {
+                Object.keys(row[metric.id]).forEach(function(item) {
+                    if (lookup[item] === undefined || lookup[item] === metric.unknownValue) {
+                        lookup[item] = row[metric.id][item];
+                    }
+                });
+            });
+            return lookup;
+        }
+    },
+
+    // Activity of each contributor (e.g. issues opened), combined across repos by adding up the counts
+    'activity': {
+        setValue: function(metric, activity, values) {
+            values[metric.id] = activity;
+        },
+        combine: (metric, rows) => combineActivity(rows.map(row => row[metric.id]))
+    },
+
+    // Percent of one metric out of another, combined by dividing the combined metrics
+    'ratio': {
+        setValue: function(metric, value, values) {
+            var denominator = values[metric.denominator];
+            values[metric.id] = denominator === 0 ? "N/A" : utils.toPercent(values[metric.numerator] / denominator);
+        }
+    }
+};
+
+/**
+ * Makes the list of the metrics in the report: METRICS followed by the
+ * metrics of each label group.
+ *
+ * @param {JSON} labelGroups names of the labels of each group (optional, defaults to none)
+ * @param {String} scope only make the metrics for "allTime" or for the "period" (optional, defaults to all of them)
+ *
+ * @return {Array} the metrics
+ */
+function getMetrics(labelGroups, scope) {
+    var allMetrics = METRICS.concat(utils.concatenateLists(Object.keys(labelGroups || {}).map(name => labelGroupMetrics(name, labelGroups[name]))));
+    return scope ? allMetrics.filter(metric => (metric.group || metric.scope) === scope) : allMetrics;
+}
+
+/**
+ * Sets the value of each metric in a row, using a function that
+ * gets the result of the metric. Ratios are set last.
+ *
+ * @param {Array} metrics the metrics to set (see getMetrics)
+ * @param {Function} getResult function that gets the result of a metric
+ *
+ * @return {JSON} the metrics (and the Sets and lists behind them)
+ */
+function setValues(metrics, getResult) {
+    var values = {};
+    metrics.filter(metric => metric.aggregation !== 'ratio').forEach(function(metric) {
+        AGGREGATIONS[metric.aggregation].setValue(metric, getResult(metric), values);
+    });
+    metrics.filter(metric => metric.aggregation === 'ratio').forEach(function(metric) {
+        AGGREGATIONS.ratio.setValue(metric, undefined, values);
+    });
+    return values;
+}
+
+/**
+ * Computes each metric for a repo.
+ *
+ * @param {JSON} context the repo's context (see createContext)
+ * @param {String} scope only compute the metrics for "allTime" or for the "period" (optional, defaults to all of them)
+ *
+ * @return {JSON} the metrics (and the Sets and lists behind them)
+ */
+function computeMetrics(context, scope) {
+    return setValues(getMetrics(context.labelGroups, scope), metric => metric.compute(context));
+}
+
+/**
+ * Aggregates each metric across the rows of several repos.
+ *
+ * @param {Array} rows report rows of the repos
+ * @param {JSON} labelGroups names of the labels of each group (optional, defaults to none)
+ * @param {String} scope only aggregate the metrics for "allTime" or for the "period" (optional, defaults to all of them)
+ *
+ * @return {JSON} the aggregated metrics (and the Sets and lists behind them)
+ */
+function aggregateMetrics(rows, labelGroups, scope) {
+    return setValues(getMetrics(labelGroups, scope), metric => AGGREGATIONS[metric.aggregation].combine(metric, rows));
+}
+
+/**
+ * Makes the title of a metric.
+ *
+ * @param {JSON} metric metric (see getMetrics)
+ * @param {JSON} options settings of the run (staleDays, oldDays)
+ *
+ * @return {String} the title
+ */
+function getTitle(metric, options) {
+    return typeof metric.title === 'function' ? metric.title(options) : metric.title;
+}
+
+/**
+ * Makes the column ids, headings and units for the metrics of a group.
+ *
+ * @param {String} group "allTime" or "period"
+ * @param {JSON} options settings of the run (staleDays, oldDays, labelGroups)
+ *
+ * @return {Array} list of {id, title, unit} objects
+ */
+function getHeader(group, options) {
+    return getMetrics(options.labelGroups).filter(metric => metric.group === group).map(metric => ({
+        id: metric.id,
+        title: getTitle(metric, options),
+        unit: metric.unit
+    }));
+}
+
+/**
+ * Makes the Markdown table of the metrics of a group for DATASCHEMA.md,
+ * with the metrics of the default label groups.
+ *
+ * @param {String} group "allTime" or "period"
+ *
+ * @return {String} the table
+ */
+function getSchemaTable(group) {
+    var lines = [
+        "| Metric Name                                | Unit   | Description                         |",
+        "| :----------------------------------------- |:------:| :---------------------------------- |"
+    ];
+    getMetrics(DEFAULT_OPTIONS.labelGroups).filter(metric => metric.group === group).forEach(function(metric) {
+        lines.push("| " + getTitle(metric, DEFAULT_OPTIONS).padEnd(42) + " | " + UNIT_SYMBOLS[metric.unit].padEnd(6) + " | " + metric.description + " |");
+    });
+    return lines.join("\n") + "\n";
+}
+
+// Export these functions and constants so they can be used in index.js
+module.exports = {
+    DEFAULT_OPTIONS,
+    METRICS,
+    validateLabelGroups,
+    createContext,
+    computeMetrics,
+    aggregateMetrics,
+    getHeader,
+    getSchemaTable
+};
@@ -0,0 +1,380 @@
+// Use fs to write the report files
+const fs = require('fs');
+
+// Use csv-writer package to write the .csv reports
+const createCsvWriter = require('csv-writer').createObjectCsvWriter;
+
+// Use exceljs package to write the .xlsx reports
+const ExcelJS = require('exceljs');
+
+// Import utils functions from utils.js
+var utils = require('./utils.js');
+
+// Import the HTML dashboard from dashboard.js
+var dashboard = require('./dashboard.js');
+
+// Import the Markdown summary from markdown.js
+var markdown = require('./markdown.js');
+
+// Import the contributor that deleted users are counted under from identity.js
+var identity = require('./identity.js');
+
+// Number formats of the .xlsx cells for each column unit
+const XLSX_NUMBER_FORMATS = {
+    count: '0',
+    percent: '0%',
+    days: '0',
+    hours: '0',
+    date: 'yyyy-mm-dd',
+    text: '@'
+};
+
+// Columns of the contributors sheet in the .xlsx report
+const CONTRIBUTORS_HEADER = [
+    {id: 'owner', title: 'Owner'},
+    {id: 'repo', title: 'Repo Name'},
+    {id: 'contributor', title: 'Contributor'},
+    {id: 'internal', title: 'Internal'},
+    {id: 'external', title: 'External'},
+    {id: 'classifiedBy', title: 'Classified By'},
+    {id: 'thisPeriod', title: 'Contributed This Period'},
+    {id: 'firstTimeContributor', title: 'First Time Contributor This Period'}
+];
+
+/**
+ * Converts values that JSON.stringify can't represent into ones it can.
+ * Sets (e.g. the contributor lists) become sorted arrays.
+ *
+ * @param {String} key key of the value being converted
+ * @param {*} value value being converted
+ *
+ * @return {*} the value to write
+ */
+function jsonReplacer(key, value) {
+    if (value instanceof Set) {
+        return Array.from(value).sort();
+    }
+    return value;
+}
+
+/**
+ * Writes the report rows into a .csv report, along with
+ * a trend .csv report if there are trend rows, and a .csv report
+ * for each of the contributor funnel and its cohort retention table
+ * if there is a funnel, and the contributor leaderboard if there is one.
+ *
+ * Only the columns in the report's header are written.
+ *
+ * @param {JSON} report the report to write (see writeReports)
+ *
+ * @return {Promise} resolves when all of the .csv files are written
+ */
+function writeCSV(report) {
+    // Make CSV writer with the column ids and headings
+    const filePath = report.getFilePath('csv');
+    const csvWriter = createCsvWriter({
+        path: filePath,
+        header: report.header
+    });
+
+    // Write the .csv file and log when successful
+    var writes = [csvWriter.writeRecords(report.rows).then(() => console.log('The CSV file ("' + filePath + '") was written successfully'))];
+
+    if (report.trendRows) {
+        const trendFilePath = report.getFilePath('csv', 'by ' + report.granularity);
+        const trendCsvWriter = createCsvWriter({
+            path: trendFilePath,
+            header: report.trendHeader
+        });
+        writes.push(trendCsvWriter.writeRecords(report.trendRows).then(() => console.log('The trend CSV file ("' + trendFilePath + '") was written successfully')));
+    }
+
+    if (report.funnel) {
+        const funnelFilePath = report.getFilePath('csv', 'funnel by ' + report.granularity);
+        const funnelCsvWriter = createCsvWriter({
+            path: funnelFilePath,
+            header: report.funnel.header
+        });
+        writes.push(funnelCsvWriter.writeRecords(report.funnel.rows).then(() => console.log('The funnel CSV file ("' + funnelFilePath + '") was written successfully')));
+
+        const cohortFilePath = report.getFilePath('csv', 'cohorts by ' + report.granularity);
+        const cohortCsvWriter = createCsvWriter({
+            path: cohortFilePath,
+            header: report.funnel.cohortHeader
+        });
+        writes.push(cohortCsvWriter.writeRecords(report.funnel.cohortRows).then(() => console.log('The cohort retention CSV file ("' + cohortFilePath + '") was written successfully')));
+    }
+
+    if (report.leaderboard) {
+        const leaderboardFilePath = report.getFilePath('csv', 'leaderboard');
+        const leaderboardCsvWriter = createCsvWriter({
+            path: leaderboardFilePath,
+            header: report.leaderboard.header
+        });
+        writes.push(leaderboardCsvWriter.writeRecords(report.leaderboard.rows).then(() => console.log('The leaderboard CSV file ("' + leaderboardFilePath + '") was written successfully')));
+    }
+
+    return Promise.all(writes);
+}
+
+/**
+ * Writes the full metric object of each report row into a .json
+ * report, along with the period, settings and config used.
+ * Trend rows are written into a separate trend .json report, and
+ * the contributor funnel (with its cohort retention table) and the
+ * contributor leaderboard into separate .json reports.
+ *
+ * @param {JSON} report the report to write (see writeReports)
+ */
+function writeJSON(report) {
+    const filePath = report.getFilePath('json');
+    fs.writeFileSync(filePath, JSON.stringify(Object.assign({}, report.metadata, {rows: report.rows}), jsonReplacer, 2));
+    console.log('The JSON file ("' + filePath + '") was written successfully');
+
+    if (report.trendRows) {
+        const trendFilePath = report.getFilePath('json', 'by ' + report.granularity);
+        fs.writeFileSync(trendFilePath, JSON.stringify(Object.assign({}, report.metadata, {granularity: report.granularity, rows: report.trendRows}), jsonReplacer, 2));
+        console.log('The trend JSON file ("' + trendFilePath + '") was written successfully');
+    }
+
+    if (report.funnel) {
+        const funnelFilePath = report.getFilePath('json', 'funnel by ' + report.granularity);
+        fs.writeFileSync(funnelFilePath, JSON.stringify(Object.assign({}, report.metadata, {granularity: report.granularity, rows: report.funnel.rows, cohorts: report.funnel.cohortRows}), jsonReplacer, 2));
+        console.log('The funnel JSON file ("' + funnelFilePath + '") was written successfully');
+    }
+
+    if (report.leaderboard) {
+        const leaderboardFilePath = report.getFilePath('json', 'leaderboard');
+        fs.writeFileSync(leaderboardFilePath, JSON.stringify(Object.assign({}, report.metadata, {rows: report.leaderboard.rows}), jsonReplacer, 2));
+        console.log('The leaderboard JSON file ("' + leaderboardFilePath + '") was written successfully');
+    }
+}
+
+/**
+ * Writes the full metric object of each report row into a .ndjson
+ * report, one row per line. Each line also has the period and
+ * settings used, so lines can be read on their own.
+ * Trend rows are written into a separate trend .ndjson report, and
+ * the rows of the contributor funnel and of the contributor leaderboard
+ * into separate .ndjson reports. The funnel report also has the rows of
+ * the cohort retention table, so each of its lines has a type ("funnel"
+ * or "cohort").
+ *
+ * @param {JSON} report the report to write (see writeReports)
+ */
+function writeNDJSON(report) {
+    // The config is left out, since every line already has its owner and repo
+    const lineMetadata = Object.assign({}, report.metadata);
+    delete lineMetadata.config;
+
+    const toLines = rows => rows.map(row => JSON.stringify(Object.assign({}, lineMetadata, row), jsonReplacer) + '\n').join('');
+
+    const filePath = report.getFilePath('ndjson');
+    fs.writeFileSync(filePath, toLines(report.rows));
+    console.log('The NDJSON file ("' + filePath + '") was written successfully');
+
+    if (report.trendRows) {
+        const trendFilePath = report.getFilePath('ndjson', 'by ' + report.granularity);
+        fs.writeFileSync(trendFilePath, toLines(report.trendRows));
+        console.log('The trend NDJSON file ("' + trendFilePath + '") was written successfully');
+    }
+
+    if (report.funnel) {
+        const funnelFilePath = report.getFilePath('ndjson', 'funnel by ' + report.granularity);
+        const withType = type => row => Object.assign({type: type}, row);
+        fs.writeFileSync(funnelFilePath, toLines(report.funnel.rows.map(withType('funnel')).concat(report.funnel.cohortRows.map(withType('cohort')))));
+        console.log('The funnel NDJSON file ("' + funnelFilePath + '") was written successfully');
+    }
+
+    if (report.leaderboard) {
+        const leaderboardFilePath = report.getFilePath('ndjson', 'leaderboard');
+        fs.writeFileSync(leaderboardFilePath, toLines(report.leaderboard.rows));
+        console.log('The leaderboard NDJSON file ("' + leaderboardFilePath + '") was written successfully');
+    }
+}
+
+/**
+ * Converts a report value into the value of an .xlsx cell of the
+ * column's unit (e.g. "45%" to 0.45, so it can be formatted as a percent).
+ * Values that are "N/A" become empty cells.
+ *
+ * @param {*} value value from a report row
+ * @param {String} unit unit of the column ("percent", "days", "hours", "date", "text" or undefined)
+ *
+ * @return {*} the cell value
+ */
+function toCellValue(value, unit) {
+    if (value === undefined || value === null || value === "N/A") {
+        return null;
+    }
+    if (unit === "percent" && typeof value === "string") {
+        return parseFloat(value) / 100;
+    }
+    if (unit === "date" && typeof value === "string") {
+        // Dates in the rows are formatted as YYYY-M-D (in UTC)
+        var parts = value.split("-").map(Number);
+        return new Date(Date.UTC(parts[0], parts[1] - 1, parts[2]));
+    }
+    return value;
+}
+
+/**
+ * Adds a sheet with a row for each of the rows to an .xlsx workbook, with the 
+ * header frozen at the top and cells formatted by the unit of their column.
+ *
+ * @param {Workbook} workbook exceljs workbook to add the sheet to
+ * @param {String} name name of the sheet
+ * @param {Array} header list of {id, title, unit} objects for the columns
+ * @param {Array} rows rows to add to the sheet
+ */
+function addSheet(workbook, name, header, rows) {
+    const sheet = workbook.addWorksheet(name, {views: [{state: 'frozen', ySplit: 1}]});
+    sheet.columns = header.map(column => ({
+        header: column.title,
+        key: column.id,
+        width: Math.min(Math.max(column.title.length, 10), 30) + 2,
+        style: column.unit ? {numFmt: XLSX_NUMBER_FORMATS[column.unit]} : {}
+    }));
+    sheet.getRow(1).font = {bold: true};
+
+    rows.forEach(function(row) {
+        var cells = {};
+        header.forEach(column => {cells[column.id] = toCellValue(row[column.id], column.unit)});
+        sheet.addRow(cells);
+    });
+}
+
+/**
+ * Makes a row for each contributor of each repo, saying if they
+ * are internal or external (and how they were classified as such)
+ * and if they contributed this period. The deleted accounts are
+ * listed together on one row.
+ *
+ * @param {Array} rows report rows
+ *
+ * @return {Array} contributor rows for the contributors sheet
+ */
+function getContributorRows(rows) {
+    var contributorRows = [];
+    rows.filter(row => !utils.isAggregateRow(row)).forEach(function(row) {
+        Array.from(row.contributorsListAllTime).sort().forEach(function(contributor) {
+            // The deleted accounts are many people, so they are neither internal nor external
+            var isDeletedAccounts = contributor === identity.GHOST;
+            contributorRows.push({
+                owner: row.owner,
+                repo: row.repo,
+                contributor: isDeletedAccounts ? 'Deleted accounts' : contributor,
+                internal: !isDeletedAccounts && row.contributorsListAllTimeInternal.has(contributor),
+                external: !isDeletedAccounts && row.contributorsListAllTimeExternal.has(contributor),
+                classifiedBy: isDeletedAccounts ? undefined : row.contributorClassifications[contributor],
+                thisPeriod: row.contributorsListThisPeriod.has(contributor),
+                firstTimeContributor: row.contributorsListThisPeriodFirstTimeContributor.has(contributor)
+            });
+        });
+    });
+    return contributorRows;
+}
+
+/**
+ * Writes the report into an .xlsx workbook with a sheet for the
+ * repos, a sheet for the subtotals and total, and a sheet for
+ * the contributors. If there are trend rows, the TOTAL row of
+ * each period is added to a "Data Over Time" sheet. If there is a
+ * funnel, it is added to a "Contributor Funnel" sheet and its cohort
+ * retention table to a "Cohort Retention" sheet. If there is a
+ * leaderboard, it is added to a "Leaderboard" sheet.
+ *
+ * @param {JSON} report the report to write (see writeReports)
+ *
+ * @return {Promise} resolves when the .xlsx file is written
+ */
+function writeXLSX(report) {
+    const filePath = report.getFilePath('xlsx');
+    const workbook = new ExcelJS.Workbook();
+
+    addSheet(workbook, 'Repos', report.header, report.rows.filter(row => !utils.isAggregateRow(row)));
+    addSheet(workbook, 'TOTAL', report.header, report.rows.filter(row => utils.isAggregateRow(row)));
+    addSheet(workbook, 'Contributors', CONTRIBUTORS_HEADER, getContributorRows(report.rows));
+    if (report.trendRows) {
+        var totalTrendHeader = report.trendHeader.filter(column => column.id !== 'owner' && column.id !== 'repo');
+        addSheet(workbook, 'Data Over Time', totalTrendHeader, report.trendRows.filter(row => utils.isTotalRow(row)));
+    }
+    if (report.funnel) {
+        addSheet(workbook, 'Contributor Funnel', report.funnel.header, report.funnel.rows);
+        addSheet(workbook, 'Cohort Retention', report.funnel.cohortHeader, report.funnel.cohortRows);
+    }
+    if (report.leaderboard) {
+        addSheet(workbook, 'Leaderboard', report.leaderboard.header, report.leaderboard.rows);
+    }
+
+    // Write the .xlsx file and log when successful
+    return workbook.xlsx.writeFile(filePath).then(() => console.log('The XLSX file ("' + filePath + '") was written successfully'));
+}
+
+/**
+ * Writes the report into a self-contained .html dashboard.
+ *
+ * @param {JSON} report the report to write (see writeReports)
+ */
+function writeHTML(report) {
+    const filePath = report.getFilePath('html');
+    fs.writeFileSync(filePath, dashboard.renderDashboard(report));
+    console.log('The HTML file ("' + filePath + '") was written successfully');
+}
+
+/**
+ * Writes the report into a .md summary.
+ *
+ * @param {JSON} report the report to write (see writeReports)
+ */
+function writeMarkdown(report) {
+    const filePath = report.getFilePath('md');
+    fs.writeFileSync(filePath, markdown.renderSummary(report, report.top));
+    console.log('The Markdown file ("' + filePath + '") was written successfully');
+}
+
+// Writers for each report format, by the name passed to --format
+const WRITERS = {
+    csv: writeCSV,
+    json: writeJSON,
+    ndjson: writeNDJSON,
+    xlsx: writeXLSX,
+    html: writeHTML,
+    md: writeMarkdown
+};
+
+// Report formats that can be passed to --format
+const FORMATS = Object.keys(WRITERS);
+
+/**
+ * Writes a report in each of the formats into the output folder.
+ *
+ * The report has:
+ *  - rows: data for each repo + subtotals + all repos
+ *  - header: list of {id, title, unit} objects for the columns of the .csv report
+ *  - columnGroups: list of {title, header} objects for the all time and period columns
+ *  - trendRows, trendHeader, granularity: the same for the trend report (only when a granularity was provided)
+ *  - funnel: the contributor funnel and cohort retention table (only with --funnel, see funnel.buildFunnel)
+ *  - leaderboard: the activity of each contributor (only with --leaderboard, see leaderboard.buildLeaderboard)
+ *  - metadata: the period, settings and config the report was made with
+ *  - top: how many repos are listed in the .md report's table of the most active repos
+ *  - outputDir: folder to write the report files to
+ *  - getFilePath: function that makes the path of a report file from its extension and a suffix
+ *
+ * @param {JSON} report the report to write
+ * @param {Array} formats names of the formats to write (see FORMATS)
+ *
+ * @return {Promise} resolves when all of the report files are written
+ */
+function writeReports(report, formats) {
+    // Make sure the output folder exists
+    fs.mkdirSync(report.outputDir, {recursive: true});
+
+    return Promise.all(formats.map(format => WRITERS[format](report)));
+}
+
+// Export these functions and constants so they can be used in index.js
+module.exports = {
+    FORMATS,
+    writeReports
+};
@@ -0,0 +1,267 @@
+/**
+ * Resolves period expressions (e.g. "last-month", "2024-Q3" or "FY2025")
+ * into a start date and an end date.
+ *
+ * All dates are midnight UTC. Like the dates given on the command line,
+ * the end date is the first day after the period (e.g. July 2024 is
+ * 2024-07-01 -> 2024-08-01).
+ */
+
+// The federal fiscal year starts on October 1 of the previous calendar year
+const FISCAL_YEAR_START_MONTH = 9;
+
+/**
+ * Makes a Date for midnight UTC on a day.
+ *
+ * Months and days outside of their range roll over (e.g. month 12
+ * is January of the next year), like Date.UTC.
+ *
+ * @param {Number} year full year
+ * @param {Number} month month (0-11)
+ * @param {Number} day day of the month (1-31)
+ *
+ * @return {Date} midnight UTC on that day
+ */
+function utcDate(year, month, day) {
+    return new Date(Date.UTC(year, month, day));
+}
+
+/**
+ * Pads a number to 2 digits (e.g. 7 to "07").
+ *
+ * @param {Number} number number to pad
+ *
+ * @return {String} padded number
+ */
+function pad(number) {
+    return String(number).padStart(2, "0");
+}
+
+/**
+ * Makes the period for a calendar month.
+ *
+ * @param {Number} year full year
+ * @param {Number} month month (0-11, rolls over like Date.UTC)
+ *
+ * @return {JSON} the period's start, end and label (e.g. "2024-07")
+ */
+function monthPeriod(year, month) {
+    var start = utcDate(year, month, 1);
+    return {
+        start: start,
+        end: utcDate(year, month + 1, 1),
+        label: start.getUTCFullYear() + "-" + pad(start.getUTCMonth() + 1)
+    };
+}
+
+/**
+ * Makes the period for a calendar quarter.
+ *
+ * @param {Number} year full year
+ * @param {Number} quarter quarter (1-4, rolls over into other years)
+ *
+ * @return {JSON} the period's start, end and label (e.g. "2024-Q3")
+ */
+function quarterPeriod(year, quarter) {
+    var start = utcDate(year, (quarter - 1) * 3, 1);
+    return {
+        start: start,
+        end: utcDate(year, quarter * 3, 1),
+        label: start.getUTCFullYear() + "-Q" + (start.getUTCMonth() / 3 + 1)
+    };
+}
+
+/**
+ * Makes the period for a federal fiscal year or one of its quarters.
+ *
+ * @param {Number} fiscalYear fiscal year (e.g. 2025 for 2024-10-01 -> 2025-10-01)
+ * @param {Number} quarter fiscal quarter (1-4, optional)
+ *
+ * @return {JSON} the period's start, end and label (e.g. "FY2025" or "FY2025-Q1")
+ */
+function fiscalPeriod(fiscalYear, quarter) {
+    if (quarter === undefined) {
+        return {
+            start: utcDate(fiscalYear - 1, FISCAL_YEAR_START_MONTH, 1),
+            end: utcDate(fiscalYear, FISCAL_YEAR_START_MONTH, 1),
+            label: "FY" + fiscalYear
+        };
+    }
+
+    // Roll the quarter over into other fiscal years (e.g. quarter 0 is Q4 of the previous year)
+    var quarterIndex = fiscalYear * 4 + quarter - 1;
+    fiscalYear = Math.floor(quarterIndex / 4);
+    quarter = quarterIndex % 4 + 1;
+
+    var startMonth = FISCAL_YEAR_START_MONTH + (quarter - 1) * 3;
+    return {
+        start: utcDate(fiscalYear - 1, startMonth, 1),
+        end: utcDate(fiscalYear - 1, startMonth + 3, 1),
+        label: "FY" + fiscalYear + "-Q" + quarter
+    };
+}
+
+/**
+ * Calculates the federal fiscal year that a date falls in.
+ *
+ * @param {Date} date date to get the fiscal year of
+ *
+ * @return {Number} fiscal year
+ */
+function getFiscalYear(date) {
+    return date.getUTCMonth() >= FISCAL_YEAR_START_MONTH ? date.getUTCFullYear() + 1 : date.getUTCFullYear();
+}
+
+/**
+ * Resolves a period expression into a start date, an end date and a label.
+ *
+ * Supported expressions (case insensitive):
+ *  - YYYY-MM: a calendar month (e.g. 2024-07)
+ *  - YYYY-Qn: a calendar quarter (e.g. 2024-Q3)
+ *  - FYYYYY and FYYYYY-Qn: a federal fiscal year or quarter (e.g. FY2025, FY2025-Q1)
+ *  - last-month, last-quarter, last-fiscal-quarter, last-fiscal-year: the last complete period
+ *  - last-N-days: the last N days, including today (e.g. last-30-days)
+ *  - ytd, fytd: the calendar or fiscal year to date, including today
+ *
+ * @param {String} expression period expression
+ * @param {Date} now date to resolve relative expressions against (defaults to now)
+ *
+ * @return {JSON} the period's start, end and label, or null if the expression isn't recognized
+ */
+function resolvePeriod(expression, now) {
+    now = now || new Date();
+    expression = expression.trim().toLowerCase();
+
+    var year = now.getUTCFullYear();
+    var month = now.getUTCMonth();
+    var tomorrow = utcDate(year, month, now.getUTCDate() + 1);
+    var match;
+
+    if ((match = /^(\d{4})-(\d{2})$/.exec(expression)) && Number(match[2]) >= 1 && Number(match[2]) <= 12) {
+        return monthPeriod(Number(match[1]), Number(match[2]) - 1);
+    }
+
+    if ((match = /^(\d{4})-q([1-4])$/.exec(expression))) {
+        return quarterPeriod(Number(match[1]), Number(match[2]));
+    }
+
+    if ((match = /^fy(\d{4})(?:-q([1-4]))?$/.exec(expression))) {
+        return fiscalPeriod(Number(match[1]), match[2] ? Number(match[2]) : undefined);
+    }
+
+    if (expression === "last-month") {
+        return monthPeriod(year, month - 1);
+    }
+
+    if (expression === "last-quarter") {
+        return quarterPeriod(year, Math.floor(month / 3));
+    }
+
+    if (expression === "last-fiscal-quarter") {
+        var fiscalQuarter = Math.floor(((month - FISCAL_YEAR_START_MONTH + 12) % 12) / 3) + 1;
+        return fiscalPeriod(getFiscalYear(now), fiscalQuarter - 1);
+    }
+
+    if (expression === "last-fiscal-year") {
+        return fiscalPeriod(getFiscalYear(now) - 1);
+    }
+
+    if ((match = /^last-(\d+)-days?$/.exec(expression)) && Number(match[1]) > 0) {
+        return {
+            start: utcDate(year, month, now.getUTCDate() + 1 - Number(match[1])),
+            end: tomorrow,
+            label: "last-" + Number(match[1]) + "-days"
+        };
+    }
+
+    if (expression === "ytd") {
+        return {
+            start: utcDate(year, 0, 1),
+            end: tomorrow,
+            label: year + "-YTD"
+        };
+    }
+
+    if (expression === "fytd") {
+        return {
+            start: fiscalPeriod(getFiscalYear(now)).start,
+            end: tomorrow,
+            label: "FY" + getFiscalYear(now) + "-YTD"
+        };
+    }
+
+    return null;
+}
+
+// Granularities that a time period can be split into
+const GRANULARITIES = [
+    "week",
+    "month",
+    "quarter"
+];
+
+/**
+ * Calculates the week, month or quarter that a date falls in.
+ * Weeks start on Monday.
+ *
+ * @param {Date} date date to get the bucket of
+ * @param {String} granularity "week", "month" or "quarter"
+ *
+ * @return {JSON} the bucket's start, end and label (e.g. "2024-07-01", "2024-07" or "2024-Q3")
+ */
+function getBucket(date, granularity) {
+    var year = date.getUTCFullYear();
+    var month = date.getUTCMonth();
+
+    if (granularity === "quarter") {
+        return quarterPeriod(year, Math.floor(month / 3) + 1);
+    }
+
+    if (granularity === "month") {
+        return monthPeriod(year, month);
+    }
+
+    // Count back to Monday (getUTCDay is 0 for Sunday)
+    var start = utcDate(year, month, date.getUTCDate() - (date.getUTCDay() + 6) % 7);
+    return {
+        start: start,
+        end: utcDate(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate() + 7),
+        label: start.getUTCFullYear() + "-" + pad(start.getUTCMonth() + 1) + "-" + pad(start.getUTCDate())
+    };
+}
+
+/**
+ * Splits a time period into calendar weeks, months or quarters.
+ *
+ * The first and last buckets are cut off at the start and end of
+ * the time period, but keep the label of their week, month or quarter.
+ *
+ * @param {Date} startDate start of the time period
+ * @param {Date} endDate end of the time period
+ * @param {String} granularity "week", "month" or "quarter"
+ *
+ * @return {Array} list of buckets with their start, end and label
+ */
+function splitPeriod(startDate, endDate, granularity) {
+    var buckets = [];
+    var date = startDate;
+
+    while (date < endDate) {
+        var bucket = getBucket(date, granularity);
+        buckets.push({
+            start: date,
+            end: bucket.end < endDate ? bucket.end : endDate,
+            label: bucket.label
+        });
+        date = bucket.end;
+    }
+
+    return buckets;
+}
+
+// Export these functions and constants so they can be used in index.js
+module.exports = {
+    GRANULARITIES,
+    resolvePeriod,
+    splitPeriod
+};
@@ -1,3 +1,219 @@
+// Fields fetched for the timeline items that can be a response to an issue or pull request
+// (comments, labels and assignments), used for the time to first response
+const responseFields = /* GraphQL */ `
+    fragment ResponseFields on Node {
+        __typename
+        ... on IssueComment {
+            createdAt
+            author {
+                __typename
+                login
+            }
+            authorAssociation
+        }
+        ... on LabeledEvent {
+            createdAt
+            actor {
+                __typename
+                login
+            }
+        }
+        ... on AssignedEvent {
+            createdAt
+            actor {
+                __typename
+                login
+            }
+        }
+    }
+`
+
+// Fields fetched for each issue, shared by the queries that fetch issues
+const issueFields = /* GraphQL */ `
+    fragment IssueFields on Issue {
+        id
+        updatedAt
+        createdAt
+        state
+        closedAt
+        author {
+            login
+            ... on User {
+                id
+            }
+        }
+        authorAssociation
+        labels(first:20) {
+            nodes {
+                name
+            }
+        }
+        timelineItems(last:100) {
+            nodes { 
+                __typename
+                ... on AddedToProjectEvent {
+                    createdAt
+                }
+                ... on AssignedEvent {
+                    createdAt
+                }
+                ... on ClosedEvent {
+                    createdAt
+                    closer {
+                        __typename
+                        ... on PullRequest {
+                            id
+                        }
+                        ... on Commit {
+                            id
+                        }
+                    }
+                }
+                ... on CommentDeletedEvent {
+                    createdAt
+                }
+                ... on ConvertedNoteToIssueEvent {
+                    createdAt
+                }
+                ... on CrossReferencedEvent {
+                    createdAt
+                }
+                ... on DemilestonedEvent {
+                    createdAt
+                }
+                ... on IssueComment {
+                    createdAt
+                }
+                ... on LabeledEvent {
+                    createdAt
+                }
+                ... on LockedEvent {
+                    createdAt
+                }
+                ... on MentionedEvent {
+                    createdAt
+                }
+                ... on MilestonedEvent {
+                    createdAt
+                }
+                ... on MovedColumnsInProjectEvent {
+                    createdAt
+                }
+                ... on PinnedEvent {
+                    createdAt
+                }
+                ... on ReferencedEvent {
+                    createdAt
+                }
+                ... on RemovedFromProjectEvent {
+                    createdAt
+                }
+                ... on RenamedTitleEvent {
+                    createdAt
+                }
+                ... on ReopenedEvent {
+                    createdAt
+                }
+                ... on SubscribedEvent {
+                    createdAt
+                }
+                ... on TransferredEvent {
+                    createdAt
+                }
+                ... on UnassignedEvent {
+                    createdAt
+                }
+                ... on UnlabeledEvent {
+                    createdAt
+                }
+                ... on UnlockedEvent {
+                    createdAt
+                }
+                ... on UnpinnedEvent {
+                    createdAt
+                }
+                ... on UnsubscribedEvent {
+                    createdAt
+                }
+                ... on UserBlockedEvent {
+                    createdAt
+                }
+            }
+        }
+        responseItems: timelineItems(first:100, itemTypes:[ISSUE_COMMENT, LABELED_EVENT, ASSIGNED_EVENT]) {
+            nodes {
+                ...ResponseFields
+            }
+        }
+    }
+`
+
+// Fields fetched for each pull request, shared by the queries that fetch pull requests
+const pullRequestFields = /* GraphQL */ `
+    fragment PullRequestFields on PullRequest {
+        id
+        updatedAt
+        createdAt
+        state
+        mergedAt
+        closedAt
+        author {
+            login
+            ... on User {
+                id
+            }
+        }
+        authorAssociation
+        reviews(first:50) {
+            nodes {
+                state
+                submittedAt
+                author {
+                    __typename
+                    login
+                }
+                authorAssociation
+            }
+        }
+        responseItems: timelineItems(first:100, itemTypes:[ISSUE_COMMENT, PULL_REQUEST_REVIEW, LABELED_EVENT, ASSIGNED_EVENT]) {
+            nodes {
+                ...ResponseFields
+                ... on PullRequestReview {
+                    createdAt
+                    author {
+                        __typename
+                        login
+                    }
+                    authorAssociation
+                }
+            }
+        }
+    }
+`
+
+// Fields fetched for each commit of the default branch, shared by the queries that fetch commits
+const commitFields = /* GraphQL */ `
+    fragment CommitFields on Commit {
+        oid
+        committedDate
+        additions
+        deletions
+        parents {
+            totalCount
+        }
+        authors(first:10) {
+            nodes {
+                name
+                email
+                user {
+                    id
+                    login
+                }
+            }
+        }
+    }
+`
+
 const mainQuery = /* GraphQL */ `
     query GitHub($owner: String!, $repo: String!) {
         repository(owner:$owner, name:$repo) {
@@ -5,105 +221,7 @@ const mainQuery = /* GraphQL */ `
             issues(first:100) {
                 totalCount
                 nodes {
-                    createdAt
-                    state
-                    closedAt
-                    author {
-                        login
-                    }
-                    authorAssociation
-                    timelineItems(last:100) {
-                        nodes { 
-                            __typename
-                            ... on AddedToProjectEvent {
-                                createdAt
-                            }
-                            ... on AssignedEvent {
-                                createdAt
-                            }
-                            ... on ClosedEvent {
-                                createdAt
-                                closer {
-                                    __typename
-                                    ... on PullRequest {
-                                        id
-                                    }
-                                    ... on Commit {
-                                        id
-                                    }
-                                }
-                            }
-                            ... on CommentDeletedEvent {
-                                createdAt
-                            }
-                            ... on ConvertedNoteToIssueEvent {
-                                createdAt
-                            }
-                            ... on CrossReferencedEvent {
-                                createdAt
-                            }
-                            ... on DemilestonedEvent {
-                                createdAt
-                            }
-                            ... on IssueComment {
-                                createdAt
-                            }
-                            ... on LabeledEvent {
-                                createdAt
-                            }
-                            ... on LockedEvent {
-                                createdAt
-                            }
-                            ... on MentionedEvent {
-                                createdAt
-                            }
-                            ... on MilestonedEvent {
-                                createdAt
-                            }
-                            ... on MovedColumnsInProjectEvent {
-                                createdAt
-                            }
-                            ... on PinnedEvent {
-                                createdAt
-                            }
-                            ... on ReferencedEvent {
-                                createdAt
-                            }
-                            ... on RemovedFromProjectEvent {
-                                createdAt
-                            }
-                            ... on RenamedTitleEvent {
-                                createdAt
-                            }
-                            ... on ReopenedEvent {
-                                createdAt
-                            }
-                            ... on SubscribedEvent {
-                                createdAt
-                            }
-                            ... on TransferredEvent {
-                                createdAt
-                            }
-                            ... on UnassignedEvent {
-                                createdAt
-                            }
-                            ... on UnlabeledEvent {
-                                createdAt
-                            }
-                            ... on UnlockedEvent {
-                                createdAt
-                            }
-                            ... on UnpinnedEvent {
-                                createdAt
-                            }
-                            ... on UnsubscribedEvent {
-                                createdAt
-                            }
-                            ... on UserBlockedEvent {
-                                createdAt
-                            }
-                        }
-                    }
+                    ...IssueFields
                 }
                 pageInfo {
                     startCursor
@@ -114,14 +232,7 @@ const mainQuery = /* GraphQL */ `
             pullRequests(first:100) {
                 totalCount
                 nodes {
-                    createdAt
-                    state
-                    mergedAt
-                    closedAt
-                    author {
-                        login
-                    }
-                    authorAssociation
+                    ...PullRequestFields
                 }
                 pageInfo {
                     startCursor
@@ -129,6 +240,23 @@ const mainQuery = /* GraphQL */ `
                     endCursor
                 }
             }
+            defaultBranchRef {
+                target {
+                    ... on Commit {
+                        history(first:100) {
+                            totalCount
+                            nodes {
+                                ...CommitFields
+                            }
+                            pageInfo {
+                                startCursor
+                                hasNextPage
+                                endCursor
+                            }
+                        }
+                    }
+                }
+            }
             stargazers {
                 totalCount
             }
@@ -146,7 +274,7 @@ const mainQuery = /* GraphQL */ `
             resetAt
         }
     }
-`
+` + issueFields + pullRequestFields + responseFields + commitFields
 
 const issuesQuery = /* GraphQL */ `
     query GitHub($owner: String!, $repo: String!, $cursor: String!) {
@@ -155,106 +283,173 @@ const issuesQuery = /* GraphQL */ `
             issues(first:100, after:$cursor) {
                 totalCount
                 nodes {
-                    createdAt
-                    state
-                    closedAt
-                    author {
+                    ...IssueFields
+                }
+                pageInfo {
+                    startCursor
+                    hasNextPage
+                    endCursor
+                }
+            }
+        }  
+        rateLimit {
+            limit
+            cost
+            remaining
+            resetAt
+        }
+    }
+` + issueFields + responseFields
+
+const pullRequestsQuery = /* GraphQL */ `
+    query GitHub($owner: String!, $repo: String!, $cursor: String!) {
+        repository(owner:$owner, name:$repo) {
+            name
+            pullRequests(first:100, after:$cursor) {
+                totalCount
+                nodes {
+                    ...PullRequestFields
+                }
+                pageInfo {
+                    startCursor
+                    hasNextPage
+                    endCursor
+                }
+            }
+        }  
+        rateLimit {
+            limit
+            cost
+            remaining
+            resetAt
+        }
+    }
+` + pullRequestFields + responseFields
+
+const repositoriesQuery = /* GraphQL */ `
+    query GitHub($owner: String!, $cursor: String) {
+        repositoryOwner(login:$owner) {
+            repositories(first:100, after:$cursor, orderBy:{field:NAME, direction:ASC}) {
+                totalCount
+                nodes {
+                    name
+                    isArchived
+                    isFork
+                    isPrivate
+                }
+                pageInfo {
+                    startCursor
+                    hasNextPage
+                    endCursor
+                }
+            }
+        }
+        rateLimit {
+            limit
+            cost
+            remaining
+            resetAt
+        }
+    }
+`
+
+const teamMembersQuery = /* GraphQL */ `
+    query GitHub($org: String!, $team: String!, $cursor: String) {
+        organization(login:$org) {
+            team(slug:$team) {
+                members(first:100, after:$cursor) {
+                    nodes {
+                        id
                         login
                     }
-                    authorAssociation
-                    timelineItems(last:100) {
-                        nodes { 
-                            __typename
-                            ... on AddedToProjectEvent {
-                                createdAt
-                            }
-                            ... on AssignedEvent {
-                                createdAt
-                            }
-                            ... on ClosedEvent {
-                                createdAt
-                                closer {
-                                    __typename
-                                    ... on PullRequest {
-                                        id
-                                    }
-                                    ... on Commit {
-                                        id
-                                    }
-                                }
-                            }
-                            ... on CommentDeletedEvent {
-                                createdAt
-                            }
-                            ... on ConvertedNoteToIssueEvent {
-                                createdAt
-                            }
-                            ... on CrossReferencedEvent {
-                                createdAt
-                            }
-                            ... on DemilestonedEvent {
-                                createdAt
-                            }
-                            ... on IssueComment {
-                                createdAt
-                            }
-                            ... on LabeledEvent {
-                                createdAt
-                            }
-                            ... on LockedEvent {
-                                createdAt
-                            }
-                            ... on MentionedEvent {
-                                createdAt
-                            }
-                            ... on MilestonedEvent {
-                                createdAt
-                            }
-                            ... on MovedColumnsInProjectEvent {
-                                createdAt
-                            }
-                            ... on PinnedEvent {
-                                createdAt
-                            }
-                            ... on ReferencedEvent {
-                                createdAt
-                            }
-                            ... on RemovedFromProjectEvent {
-                                createdAt
-                            }
-                            ... on RenamedTitleEvent {
-                                createdAt
-                            }
-                            ... on ReopenedEvent {
-                                createdAt
-                            }
-                            ... on SubscribedEvent {
-                                createdAt
-                            }
-                            ... on TransferredEvent {
-                                createdAt
-                            }
-                            ... on UnassignedEvent {
-                                createdAt
-                            }
-                            ... on UnlabeledEvent {
-                                createdAt
-                            }
-                            ... on UnlockedEvent {
-                                createdAt
-                            }
-                            ... on UnpinnedEvent {
-                                createdAt
-                            }
-                            ... on UnsubscribedEvent {
-                                createdAt
-                            }
-                            ... on UserBlockedEvent {
-                                createdAt
+                    pageInfo {
+                        startCursor
+                        hasNextPage
+                        endCursor
+                    }
+                }
+            }
+        }
+        rateLimit {
+            limit
+            cost
+            remaining
+            resetAt
+        }
+    }
+`
+
+const updatedSinceQuery = /* GraphQL */ `
+    query GitHub($owner: String!, $repo: String!, $since: DateTime!, $commitsSince: GitTimestamp!) {
+        repository(owner:$owner, name:$repo) {
+            name
+            issues(first:100, orderBy:{field:UPDATED_AT, direction:DESC}, filterBy:{since:$since}) {
+                totalCount
+                nodes {
+                    ...IssueFields
+                }
+                pageInfo {
+                    startCursor
+                    hasNextPage
+                    endCursor
+                }
+            }
+            pullRequests(first:100, orderBy:{field:UPDATED_AT, direction:DESC}) {
+                totalCount
+                nodes {
+                    ...PullRequestFields
+                }
+                pageInfo {
+                    startCursor
+                    hasNextPage
+                    endCursor
+                }
+            }
+            defaultBranchRef {
+                target {
+                    ... on Commit {
+                        history(first:100, since:$commitsSince) {
+                            totalCount
+                            nodes {
+                                ...CommitFields
+                            }
+                            pageInfo {
+                                startCursor
+                                hasNextPage
+                                endCursor
                             }
                         }
                     }
                 }
+            }
+            stargazers {
+                totalCount
+            }
+            forks {
+                totalCount
+            }
+            watchers {
+                totalCount
+            }
+        }
+        rateLimit {
+            limit
+            cost
+            remaining
+            resetAt
+        }
+    }
+` + issueFields + pullRequestFields + responseFields + commitFields
+
+const issuesSinceQuery = /* GraphQL */ `
+    query GitHub($owner: String!, $repo: String!, $since: DateTime!, $cursor: String!) {
+        repository(owner:$owner, name:$repo) {
+            name
+            issues(first:100, after:$cursor, orderBy:{field:UPDATED_AT, direction:DESC}, filterBy:{since:$since}) {
+                totalCount
+                nodes {
+                    ...IssueFields
+                }
                 pageInfo {
                     startCursor
                     hasNextPage
@@ -269,23 +464,16 @@ const issuesQuery = /* GraphQL */ `
             resetAt
         }
     }
-`
+` + issueFields + responseFields
 
-const pullRequestsQuery = /* GraphQL */ `
+const pullRequestsSinceQuery = /* GraphQL */ `
     query GitHub($owner: String!, $repo: String!, $cursor: String!) {
         repository(owner:$owner, name:$repo) {
             name
-            pullRequests(first:100, after:$cursor) {
+            pullRequests(first:100, after:$cursor, orderBy:{field:UPDATED_AT, direction:DESC}) {
                 totalCount
                 nodes {
-                    createdAt
-                    state
-                    mergedAt
-                    closedAt
-                    author {
-                        login
-                    }
-                    authorAssociation
+                    ...PullRequestFields
                 }
                 pageInfo {
                     startCursor
@@ -301,11 +489,80 @@ const pullRequestsQuery = /* GraphQL */ `
             resetAt
         }
     }
-`
+` + pullRequestFields + responseFields
+
+const commitsQuery = /* GraphQL */ `
+    query GitHub($owner: String!, $repo: String!, $cursor: String!) {
+        repository(owner:$owner, name:$repo) {
+            name
+            defaultBranchRef {
+                target {
+                    ... on Commit {
+                        history(first:100, after:$cursor) {
+                            totalCount
+                            nodes {
+                                ...CommitFields
+                            }
+                            pageInfo {
+                                startCursor
+                                hasNextPage
+                                endCursor
+                            }
+                        }
+                    }
+                }
+            }
+        }  
+        rateLimit {
+            limit
+            cost
+            remaining
+            resetAt
+        }
+    }
+` + commitFields
+
+const commitsSinceQuery = /* GraphQL */ `
+    query GitHub($owner: String!, $repo: String!, $since: GitTimestamp!, $cursor: String!) {
+        repository(owner:$owner, name:$repo) {
+            name
+            defaultBranchRef {
+                target {
+                    ... on Commit {
+                        history(first:100, after:$cursor, since:$since) {
+                            totalCount
+                            nodes {
+                                ...CommitFields
+                            }
+                            pageInfo {
+                                startCursor
+                                hasNextPage
+                                endCursor
+                            }
+                        }
+                    }
+                }
+            }
+        }  
+        rateLimit {
+            limit
+            cost
+            remaining
+            resetAt
+        }
+    }
+` + commitFields
 
 // Export these GraphQL queries so they can be used in index.js
 module.exports = { 
     mainQuery,
     issuesQuery,
-    pullRequestsQuery
+    pullRequestsQuery,
+    repositoriesQuery,
+    teamMembersQuery,
+    updatedSinceQuery,
+    issuesSinceQuery,
+    pullRequestsSinceQuery,
+    commitsQuery,
+    commitsSinceQuery
 };
\ No newline at end of file
@@ -0,0 +1,156 @@
+/**
+ * Classifies contributors as internal or external from a team roster
+ * instead of the authorAssociation GitHub gives each issue, pull request
+ * and review. That association only says how the author is related to the
+ * repo now, so a former team member is counted as external for everything
+ * they did while on the team, and a contractor without write access is
+ * counted as part of the community.
+ *
+ * The roster file lists the logins of the team members, each with the
+ * dates they were on the team, and the GitHub teams whose members are
+ * internal, e.g.
+ * {
+ *     "members": [{"login": "jdoe", "from": "2019-01-01", "to": "2021-06-30"}],
+ *     "teams": ["GSA/code-gov"]
+ * }
+ *
+ * People who aren't in the roster are still classified by their authorAssociation.
+ */
+
+// Use fs to read the roster file
+const fs = require('fs');
+
+// Import utils functions from utils.js
+var utils = require('./utils.js');
+
+// Import contributor identity resolution from identity.js
+var identity = require('./identity.js');
+
+// How a contributor was classified as internal or external (commit authors who aren't in the roster are unclassified)
+const SOURCES = {
+    roster: 'roster',
+    team: 'team',
+    association: 'association',
+    unclassified: 'unclassified'
+};
+
+/**
+ * Reads a roster file.
+ *
+ * Throws an error with a message for the user if the file
+ * can't be read or isn't in the right form.
+ *
+ * @param {String} filePath path of the roster file
+ *
+ * @return {JSON} the members (with their from and to dates) and teams ("org/team") of the roster
+ */
+function readRoster(filePath) {
+    var rosterFile = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    var members = rosterFile.members || [];
+    var teams = rosterFile.teams || [];
+
+    if (!Array.isArray(members) || !members.every(member => member && typeof member.login === "string")) {
+        throw new Error("members must be a list of objects with a login");
+    }
+    members.forEach(function(member) {
+        ["from", "to"].forEach(function(key) {
+            if (member[key] !== undefined && !(utils.isValidDateString(member[key]) && utils.isValidDate(new Date(member[key] + "T00:00:00Z")))) {
+                throw new Error("the " + key + " date of " + member.login + " must be a date in the format YYYY-MM-DD");
+            }
+        });
+    });
+    if (!Array.isArray(teams) || !teams.every(team => typeof team === "string" && /^[^/]+\/[^/]+$/.test(team))) {
+        throw new Error("teams must be a list of teams in the format org/team");
+    }
+
+    return {
+        members: members,
+        teams: teams
+    };
+}
+
+/**
+ * Makes the roster used to classify contributors, with the dates each
+ * person was on the team and the members of the GitHub teams. Logins are
+ * resolved to contributors the same way as authors (see
+ * identity.resolveLogin and identity.resolveUser), so the roster applies
+ * to all of a person's aliases and to the logins they had before.
+ *
+ * @param {JSON} rosterFile members and teams of the roster (see readRoster)
+ * @param {Array} teamMembers members of the roster's teams (GitHub users with an id and login)
+ * @param {JSON} identities identities of the contributors (see identity.createIdentities)
+ *
+ * @return {JSON} the roster
+ */
+function createRoster(rosterFile, teamMembers, identities) {
+    var roster = {
+        periods: new Map(),
+        teamMembers: new Set(teamMembers.map(member => identity.resolveUser(identities, member).toLowerCase()))
+    };
+
+    // The to date is the last day on the team, so the period ends the day after
+    rosterFile.members.forEach(function(member) {
+        var contributor = identity.resolveLogin(identities, member.login).toLowerCase();
+        if (!roster.periods.has(contributor)) {
+            roster.periods.set(contributor, []);
+        }
+        roster.periods.get(contributor).push({
+            start: member.from ? new Date(member.from + "T00:00:00Z") : null,
+            end: member.to ? new Date(new Date(member.to + "T00:00:00Z").getTime() + 24 * 60 * 60 * 1000) : null
+        });
+    });
+
+    return roster;
+}
+
+/**
+ * Finds how a contributor is classified: by the roster's dates, by
+ * the roster's teams or (if they aren't in the roster) by the
+ * authorAssociation of what they did.
+ *
+ * @param {JSON} roster the roster (see createRoster), or undefined if there is none
+ * @param {String} contributor the contributor (see identity.resolveUser)
+ *
+ * @return {String} one of the SOURCES
+ */
+function getSource(roster, contributor) {
+    if (roster && roster.periods.has(contributor.toLowerCase())) {
+        return SOURCES.roster;
+    }
+    if (roster && roster.teamMembers.has(contributor.toLowerCase())) {
+        return SOURCES.team;
+    }
+    return SOURCES.association;
+}
+
+/**
+ * Determines if a contributor was internal on a date according to the
+ * roster: if they were on the team on that date (for members listed with
+ * dates) or if they are a member of one of the teams.
+ *
+ * @param {JSON} roster the roster (see createRoster), or undefined if there is none
+ * @param {String} contributor the contributor (see identity.resolveUser)
+ * @param {String} dateString date of what they did, from GitHub
+ *
+ * @return {Boolean} was the contributor internal, or undefined if they aren't in the roster
+ */
+function isInternalOn(roster, contributor, dateString) {
+    var source = getSource(roster, contributor);
+    if (source === SOURCES.roster) {
+        var date = new Date(dateString);
+        return roster.periods.get(contributor.toLowerCase()).some(period => (!period.start || date >= period.start) && (!period.end || date < period.end));
+    }
+    if (source === SOURCES.team) {
+        return true;
+    }
+    return undefined;
+}
+
+// Export these functions and constants so they can be used in index.js and metrics.js
+module.exports = {
+    SOURCES,
+    readRoster,
+    createRoster,
+    getSource,
+    isInternalOn
+};
@@ -0,0 +1,31 @@
+/**
+ * Updates the metric tables in DATASCHEMA.md from the metric registry
+ * in metrics.js, so the documentation always matches the report.
+ *
+ * Usage: npm run schema
+ */
+
+// Use fs and path to read and write DATASCHEMA.md
+const fs = require('fs');
+const path = require('path');
+
+// Import the metric registry from metrics.js
+var metrics = require('./metrics.js');
+
+const SCHEMA_FILE = path.join(__dirname, 'DATASCHEMA.md');
+
+// Groups of metrics that have a table in DATASCHEMA.md, between <!-- metrics:<group> --> and <!-- /metrics:<group> -->
+const GROUPS = ['allTime', 'period'];
+
+var schema = fs.readFileSync(SCHEMA_FILE, 'utf8');
+GROUPS.forEach(function(group) {
+    var start = '<!-- metrics:' + group + ' -->\n';
+    var end = '<!-- /metrics:' + group + ' -->';
+    var pattern = new RegExp(start + '[\\s\\S]*?' + end);
+    if (!pattern.test(schema)) {
+        throw new Error("DATASCHEMA.md has no table for the " + group + " metrics (" + start.trim() + ")");
+    }
+    schema = schema.replace(pattern, () => start + metrics.getSchemaTable(group) + end);
+});
+fs.writeFileSync(SCHEMA_FILE, schema);
+console.log('The metric tables in DATASCHEMA.md were updated from metrics.js');
@@ -0,0 +1,197 @@
+// Use fs and path to read and write snapshot files
+const fs = require('fs');
+const path = require('path');
+
+// Name of the file in each snapshot folder that lists its owners and repos
+const MANIFEST_FILE = 'snapshot.json';
+
+/**
+ * Makes the path of the file a repo's raw data is stored in.
+ *
+ * @param {String} snapshotDir snapshot folder
+ * @param {String} owner organization or user that owns the repo
+ * @param {String} repoName name of the repo
+ *
+ * @return {String} path of the repo's file
+ */
+function getRepoFilePath(snapshotDir, owner, repoName) {
+    return path.join(snapshotDir, owner, repoName + '.json');
+}
+
+/**
+ * Makes the key of a repo in the fetch times of a manifest.
+ *
+ * @param {String} owner organization or user that owns the repo
+ * @param {String} repoName name of the repo
+ *
+ * @return {String} the key (e.g. "GSA/code-gov")
+ */
+function getRepoKey(owner, repoName) {
+    return owner + '/' + repoName;
+}
+
+/**
+ * Writes the raw data from GitHub for each repo into a snapshot folder
+ * named after the date (e.g. snapshots/2019-07-09), along with a manifest
+ * listing the owners and repos that were saved and when each repo was
+ * fetched. Repos without data (e.g. because their query failed) are left
+ * out. If there is already a snapshot for the date, the repos in it that
+ * weren't saved again are kept, along with when they were fetched, so
+ * the next run still queries their updates since then.
+ *
+ * @param {String} snapshotsDir folder that holds all of the snapshots
+ * @param {Array} owners list of {owner, repoList} objects
+ * @param {Array} reposByOwner raw data from GitHub API for the repos of each owner, in the same order
+ * @param {Date} createdAt when the data was fetched
+ *
+ * @return {String} path of the snapshot folder
+ */
+function writeSnapshot(snapshotsDir, owners, reposByOwner, createdAt) {
+    const snapshotDir = path.join(snapshotsDir, createdAt.toISOString().slice(0, 10));
+    var manifestOwners = [];
+    var fetchedAt = {};
+
+    owners.forEach(function(ownerConfig, index) {
+        var repoList = [];
+        fs.mkdirSync(path.join(snapshotDir, ownerConfig.owner), {recursive: true});
+
+        reposByOwner[index].forEach(function(repo) {
+            if (!repo) {
+                return;
+            }
+            fs.writeFileSync(getRepoFilePath(snapshotDir, ownerConfig.owner, repo.repository.name), JSON.stringify(repo));
+            repoList.push(repo.repository.name);
+            fetchedAt[getRepoKey(ownerConfig.owner, repo.repository.name)] = createdAt.toISOString();
+        });
+
+        manifestOwners.push({owner: ownerConfig.owner, repoList: repoList});
+    });
+
+    // Keep the owners and repos of an earlier snapshot from the same date
+    if (fs.existsSync(path.join(snapshotDir, MANIFEST_FILE))) {
+        var previousManifest = readManifest(snapshotDir);
+        previousManifest.owners.forEach(function(previousOwner) {
+            previousOwner.repoList.filter(repoName => !fetchedAt[getRepoKey(previousOwner.owner, repoName)]).forEach(function(repoName) {
+                fetchedAt[getRepoKey(previousOwner.owner, repoName)] = getFetchedAt(previousManifest, previousOwner.owner, repoName).toISOString();
+            });
+            var manifestOwner = manifestOwners.find(manifestOwner => manifestOwner.owner === previousOwner.owner);
+            if (manifestOwner) {
+                manifestOwner.repoList = Array.from(new Set(manifestOwner.repoList.concat(previousOwner.repoList)));
+            } else {
+                manifestOwners.push(previousOwner);
+            }
+        });
+    }
+
+    // The manifest is written last, so a snapshot is only complete once it exists
+    fs.writeFileSync(path.join(snapshotDir, MANIFEST_FILE), JSON.stringify({
+        createdAt: createdAt.toISOString(),
+        owners: manifestOwners,
+        fetchedAt: fetchedAt
+    }, null, 2));
+
+    return snapshotDir;
+}
+
+/**
+ * Finds a snapshot folder by name.
+ *
+ * The name can be "latest" (the most recent snapshot), a date in the
+ * format YYYY-MM-DD, or the path of a snapshot folder.
+ *
+ * @param {String} snapshotsDir folder that holds all of the snapshots
+ * @param {String} name name of the snapshot
+ *
+ * @return {String} path of the snapshot folder
+ */
+function resolveSnapshotDir(snapshotsDir, name) {
+    if (name === 'latest') {
+        var dates = fs.existsSync(snapshotsDir) ? fs.readdirSync(snapshotsDir).filter(function(date) {
+            return /^\d\d\d\d-\d\d-\d\d$/.test(date) && fs.existsSync(path.join(snapshotsDir, date, MANIFEST_FILE));
+        }) : [];
+        if (dates.length === 0) {
+            throw new Error("there are no snapshots in " + snapshotsDir);
+        }
+        return path.join(snapshotsDir, dates.sort()[dates.length - 1]);
+    }
+
+    var snapshotDir = /^\d\d\d\d-\d\d-\d\d$/.test(name) ? path.join(snapshotsDir, name) : name;
+    if (!fs.existsSync(path.join(snapshotDir, MANIFEST_FILE))) {
+        throw new Error("there is no snapshot at " + snapshotDir);
+    }
+    return snapshotDir;
+}
+
+/**
+ * Reads the manifest of a snapshot.
+ *
+ * The manifest's owners are in the same format as the config,
+ * so it can be used in place of config.json.
+ *
+ * @param {String} snapshotDir snapshot folder
+ *
+ * @return {JSON} when the snapshot was created, the owners and repos in it and when each repo was fetched
+ */
+function readManifest(snapshotDir) {
+    var manifest = JSON.parse(fs.readFileSync(path.join(snapshotDir, MANIFEST_FILE), 'utf8'));
+    return {
+        createdAt: new Date(manifest.createdAt),
+        owners: manifest.owners,
+        fetchedAt: manifest.fetchedAt || {}
+    };
+}
+
+/**
+ * Finds when a repo in a snapshot was fetched. Older snapshots don't
+ * have the fetch time of each repo, so it is when they were created.
+ *
+ * @param {JSON} manifest manifest of the snapshot (see readManifest)
+ * @param {String} owner organization or user that owns the repo
+ * @param {String} repoName name of the repo
+ *
+ * @return {Date} when the repo was fetched
+ */
+function getFetchedAt(manifest, owner, repoName) {
+    var fetchedAt = manifest.fetchedAt[getRepoKey(owner, repoName)];
+    return fetchedAt ? new Date(fetchedAt) : manifest.createdAt;
+}
+
+/**
+ * Determines if a snapshot has the raw data for a repo.
+ *
+ * @param {String} snapshotDir snapshot folder
+ * @param {String} owner organization or user that owns the repo
+ * @param {String} repoName name of the repo
+ *
+ * @return {Boolean} does the snapshot have data for the repo?
+ */
+function hasRepo(snapshotDir, owner, repoName) {
+    return fs.existsSync(getRepoFilePath(snapshotDir, owner, repoName));
+}
+
+/**
+ * Reads the raw data from GitHub for a repo from a snapshot.
+ *
+ * @param {String} snapshotDir snapshot folder
+ * @param {String} owner organization or user that owns the repo
+ * @param {String} repoName name of the repo
+ *
+ * @return {JSON} the data for the repo
+ */
+function readRepo(snapshotDir, owner, repoName) {
+    var filePath = getRepoFilePath(snapshotDir, owner, repoName);
+    if (!fs.existsSync(filePath)) {
+        throw new Error("The snapshot at " + snapshotDir + " has no data for " + owner + "/" + repoName);
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Export these functions so they can be used in index.js
+module.exports = {
+    writeSnapshot,
+    resolveSnapshotDir,
+    readManifest,
+    getFetchedAt,
+    hasRepo,
+    readRepo
+};
@@ -0,0 +1,93 @@
+/**
+ * Tests for the comparison with the previous period (compare.js): the
+ * previous period and the change in each period
+ * metric, with the significant swings.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Import the functions being tested
+var compare = require('../compare.js');
+
+// Period metrics compared in the tests (Issues Opened and Contributors (This Period) are flagged when they swing)
+const PERIOD_HEADER = [
+    {id: 'openedIssues', title: 'Issues Opened', unit: 'count'},
+    {id: 'closedIssues', title: 'Issues Closed', unit: 'count'},
+    {id: 'contributorsThisPeriod', title: 'Contributors (This Period)', unit: 'count'},
+    {id: 'medianIssueOpenTimeThisPeriod', title: 'Median Issue Open Time (Days, This Period)', unit: 'days'},
+    {id: 'percentIssuesResponded', title: '% Issues Responded', unit: 'percent'}
+];
+
+test('getPreviousPeriod of a month, quarter or fiscal year is the one before it', function() {
+    var previousMonth = compare.getPreviousPeriod(new Date("2020-03-01T00:00:00Z"), new Date("2020-04-01T00:00:00Z"));
+    var previousQuarter = compare.getPreviousPeriod(new Date("2020-01-01T00:00:00Z"), new Date("2020-04-01T00:00:00Z"));
+    var previousFiscalYear = compare.getPreviousPeriod(new Date("2019-10-01T00:00:00Z"), new Date("2020-10-01T00:00:00Z"));
+
+    assert.strictEqual(previousMonth.start.toISOString(), "2020-02-01T00:00:00.000Z");
+    assert.strictEqual(previousMonth.end.toISOString(), "2020-03-01T00:00:00.000Z");
+    assert.strictEqual(previousQuarter.start.toISOString(), "2019-10-01T00:00:00.000Z");
+    assert.strictEqual(previousFiscalYear.start.toISOString(), "2018-10-01T00:00:00.000Z");
+    assert.strictEqual(previousFiscalYear.end.toISOString(), "2019-10-01T00:00:00.000Z");
+});
+
+test('getPreviousPeriod of any other time period is the time period of the same length right before it', function() {
+    var previousPeriod = compare.getPreviousPeriod(new Date("2020-03-10T00:00:00Z"), new Date("2020-04-09T00:00:00Z"));
+
+    assert.strictEqual(previousPeriod.start.toISOString(), "2020-02-09T00:00:00.000Z");
+    assert.strictEqual(previousPeriod.end.toISOString(), "2020-03-10T00:00:00.000Z");
+});
+
+test('getComparisonHeader adds a change and a % change column for each period metric', function() {
+    var header = compare.getComparisonHeader(PERIOD_HEADER.slice(0, 1));
+
+    assert.deepStrictEqual(header, [
+        {id: 'openedIssuesChange', title: 'Issues Opened - Change', unit: 'count'},
+        {id: 'openedIssuesPercentChange', title: 'Issues Opened - % Change', unit: 'percent'},
+        {id: 'significantChanges', title: 'Significant Changes', unit: 'text'}
+    ]);
+});
+
+test('addComparison adds the change and % change of each period metric', function() {
+    var rows = [{openedIssues: 12, closedIssues: 3, contributorsThisPeriod: 4, medianIssueOpenTimeThisPeriod: "N/A"}];
+    var previousRows = [{openedIssues: 8, closedIssues: 0, contributorsThisPeriod: 5, medianIssueOpenTimeThisPeriod: 2}];
+    compare.addComparison(rows, previousRows, PERIOD_HEADER);
+
+    assert.strictEqual(rows[0].openedIssuesChange, 4);
+    assert.strictEqual(rows[0].openedIssuesPercentChange, "+50%");
+    assert.strictEqual(rows[0].contributorsThisPeriodChange, -1);
+    assert.strictEqual(rows[0].contributorsThisPeriodPercentChange, "-20%");
+
+    // The % change from 0 and the change of a metric without a value are N/A
+    assert.strictEqual(rows[0].closedIssuesChange, 3);
+    assert.strictEqual(rows[0].closedIssuesPercentChange, "N/A");
+    assert.strictEqual(rows[0].medianIssueOpenTimeThisPeriodChange, "N/A");
+    assert.strictEqual(rows[0].medianIssueOpenTimeThisPeriodPercentChange, "N/A");
+});
+
+test('addComparison only flags swings of at least 50% and at least 5 in the metrics marked with swing', function() {
+    var rows = [
+        {openedIssues: 20, closedIssues: 20, contributorsThisPeriod: 5, medianIssueOpenTimeThisPeriod: 1},
+        {openedIssues: 3, closedIssues: 0, contributorsThisPeriod: 10, medianIssueOpenTimeThisPeriod: 1}
+    ];
+    var previousRows = [
+        {openedIssues: 8, closedIssues: 0, contributorsThisPeriod: 2, medianIssueOpenTimeThisPeriod: 1},
+        {openedIssues: 10, closedIssues: 0, contributorsThisPeriod: 0, medianIssueOpenTimeThisPeriod: 1}
+    ];
+    compare.addComparison(rows, previousRows, PERIOD_HEADER);
+
+    // Issues Closed isn't marked with swing, and Contributors only went up by 3
+    assert.strictEqual(rows[0].significantChanges, "Issues Opened +12 (+150%)");
+
+    // A swing from 0 doesn't have a % change
+    assert.strictEqual(rows[1].significantChanges, "Issues Opened -7 (-70%); Contributors (This Period) +10");
+});
+
+test('addComparison compares percents in percentage points', function() {
+    var rows = [{openedIssues: 1, closedIssues: 1, contributorsThisPeriod: 1, medianIssueOpenTimeThisPeriod: 1, percentIssuesResponded: "60%"}];
+    var previousRows = [{openedIssues: 1, closedIssues: 1, contributorsThisPeriod: 1, medianIssueOpenTimeThisPeriod: 1, percentIssuesResponded: "40%"}];
+    compare.addComparison(rows, previousRows, PERIOD_HEADER);
+
+    assert.strictEqual(rows[0].percentIssuesRespondedChange, 20);
+    assert.strictEqual(rows[0].percentIssuesRespondedPercentChange, "+50%");
+});
@@ -0,0 +1,109 @@
+/**
+ * Tests for the contributor funnel and cohort retention table
+ * (funnel.buildFunnel), from the TOTAL rows of a made up trend report.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Import the function being tested, and the contributor deleted users are counted under
+var funnel = require('../funnel.js');
+var identity = require('../identity.js');
+
+/**
+ * Makes the TOTAL row of the trend report for a month with only the
+ * fields the funnel uses.
+ *
+ * @param {String} month month of the row (e.g. "2024-01")
+ * @param {Array} contributors external contributors during the month
+ * @param {Array} firstTimeContributors first time contributors (according to GitHub) during the month
+ *
+ * @return {JSON} the row
+ */
+function monthRow(month, contributors, firstTimeContributors) {
+    return {
+        period: month,
+        periodStart: month + "-01",
+        periodEnd: month + "-28",
+        contributorsListThisPeriodExternal: new Set(contributors),
+        contributorsListThisPeriodFirstTimeContributor: new Set(firstTimeContributors)
+    };
+}
+
+// "old" contributed before the time period, and the others are new in the month of their first contribution
+const EARLIER_CONTRIBUTORS = new Set(["old"]);
+const PERIOD_ROWS = [
+    monthRow("2024-01", ["old", "a", "b"], ["a"]),
+    monthRow("2024-02", ["a", "c"], ["c"]),
+    monthRow("2024-03", ["b", "c", "d"], [])
+];
+
+/**
+ * Picks the counts of a funnel row, so rows can be compared.
+ *
+ * @param {JSON} row funnel row
+ *
+ * @return {Array} the period, contributors, new, returning, repeat and drive-by contributors and % who returned
+ */
+function describeRow(row) {
+    return [row.period, row.contributors, row.newContributors, row.returningContributors, row.repeatContributors, row.driveByContributors, row.percentRepeatContributors];
+}
+
+test('buildFunnel counts the new, returning, repeat and drive-by contributors of each period', function() {
+    var result = funnel.buildFunnel(PERIOD_ROWS, EARLIER_CONTRIBUTORS, "month");
+
+    assert.deepStrictEqual(result.rows.slice(0, 3).map(describeRow), [
+        ["2024-01", 3, 2, 1, 2, 0, "100%"],
+        ["2024-02", 2, 1, 1, 1, 0, "100%"],
+        ["2024-03", 3, 1, 2, 0, 1, "0%"]
+    ]);
+    assert.deepStrictEqual(Array.from(result.rows[0].newContributorsList).sort(), ["a", "b"]);
+    assert.deepStrictEqual(result.rows.map(row => row.firstTimeContributors), [1, 1, 0, 2]);
+});
+
+test('the TOTAL row of buildFunnel counts each contributor once', function() {
+    var total = funnel.buildFunnel(PERIOD_ROWS, EARLIER_CONTRIBUTORS, "month").rows[3];
+
+    // Returning contributors in the TOTAL row are those who contributed before the time period
+    assert.deepStrictEqual(describeRow(total), ["TOTAL", 5, 4, 1, 3, 1, "75%"]);
+    assert.strictEqual(total.periodStart, "2024-01-01");
+    assert.strictEqual(total.periodEnd, "2024-03-28");
+});
+
+test('buildFunnel makes the retention of each cohort in the later periods', function() {
+    var result = funnel.buildFunnel(PERIOD_ROWS, EARLIER_CONTRIBUTORS, "month");
+
+    assert.deepStrictEqual(result.cohortHeader.map(column => column.title), ["Cohort", "New Contributors", "After 1 month", "After 2 months"]);
+    assert.deepStrictEqual(result.cohortRows, [
+        {cohort: "2024-01", newContributors: 2, retained1: "50%", retained2: "50%"},
+        {cohort: "2024-02", newContributors: 1, retained1: "100%", retained2: "N/A"},
+        {cohort: "2024-03", newContributors: 1, retained1: "N/A", retained2: "N/A"}
+    ]);
+});
+
+test('buildFunnel reports N/A when a period has no new contributors', function() {
+    var result = funnel.buildFunnel([monthRow("2024-01", ["old"], []), monthRow("2024-02", [], [])], EARLIER_CONTRIBUTORS, "month");
+
+    assert.deepStrictEqual(result.rows.map(describeRow), [
+        ["2024-01", 1, 0, 1, 0, 0, "N/A"],
+        ["2024-02", 0, 0, 0, 0, 0, "N/A"],
+        ["TOTAL", 1, 0, 1, 0, 0, "N/A"]
+    ]);
+    assert.deepStrictEqual(result.cohortRows.map(row => row.retained1), ["N/A", "N/A"]);
+});
+
+test('buildFunnel leaves out the deleted accounts', function() {
+    var withDeletedAccounts = PERIOD_ROWS.map(row => Object.assign({}, row, {
+        contributorsListThisPeriodExternal: new Set(Array.from(row.contributorsListThisPeriodExternal).concat([identity.GHOST])),
+        contributorsListThisPeriodFirstTimeContributor: new Set(Array.from(row.contributorsListThisPeriodFirstTimeContributor).concat([identity.GHOST]))
+    }));
+
+    // Deleted accounts before the time period or in the first period would otherwise be returning or repeat contributors
+    var result = funnel.buildFunnel(withDeletedAccounts, new Set(["old", identity.GHOST]), "month");
+    var expected = funnel.buildFunnel(PERIOD_ROWS, EARLIER_CONTRIBUTORS, "month");
+
+    assert.deepStrictEqual(result.rows.map(describeRow), expected.rows.map(describeRow));
+    assert.deepStrictEqual(result.rows.map(row => row.firstTimeContributors), [1, 1, 0, 2]);
+    assert.deepStrictEqual(result.cohortRows, expected.cohortRows);
+    assert.ok(!result.rows[3].newContributorsList.has(identity.GHOST));
+});
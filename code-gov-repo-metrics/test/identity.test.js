@@ -0,0 +1,99 @@
+/**
+ * Tests for resolving who contributors are (identity.js) and classifying
+ * them with a team roster (roster.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Import the functions being tested
+var identity = require('../identity.js');
+var roster = require('../roster.js');
+
+// Raw data of a repo in which jdoe (who used to be jdoe-old) opened an issue under each login and made a commit
+const REPO = {
+    repository: {
+        issues: {
+            nodes: [
+                {author: {id: "U_1", login: "jdoe-old"}, updatedAt: "2019-01-01T00:00:00Z"},
+                {author: {id: "U_1", login: "jdoe"}, updatedAt: "2020-01-01T00:00:00Z"},
+                {author: null, updatedAt: "2020-01-01T00:00:00Z"}
+            ]
+        },
+        pullRequests: {
+            nodes: [
+                {author: {id: "U_2", login: "asmith"}, updatedAt: "2020-01-01T00:00:00Z"}
+            ]
+        },
+        defaultBranchRef: {
+            target: {
+                history: {
+                    nodes: [
+                        {committedDate: "2020-02-01T00:00:00Z", authors: {nodes: [
+                            {name: "Jane Doe", email: "jane@example.com", user: {id: "U_1", login: "jdoe"}},
+                            {name: "Someone", email: "Someone@Example.com", user: null}
+                        ]}}
+                    ]
+                }
+            }
+        }
+    }
+};
+
+test('resolveUser counts a user who changed their login under their most recent login', function() {
+    var identities = identity.createIdentities(undefined, [REPO]);
+
+    assert.strictEqual(identity.resolveUser(identities, {id: "U_1", login: "jdoe-old"}), "jdoe");
+    assert.strictEqual(identity.resolveUser(identities, {id: "U_1", login: "jdoe"}), "jdoe");
+    assert.strictEqual(identity.resolveUser(identities, {id: "U_3", login: "newcomer"}), "newcomer");
+});
+
+test('resolveUser counts deleted users as ghost', function() {
+    var identities = identity.createIdentities(undefined, [REPO]);
+
+    assert.strictEqual(identity.resolveUser(identities, null), identity.GHOST);
+    assert.strictEqual(identity.resolveUser(identities, {login: "ghost"}), identity.GHOST);
+});
+
+test('resolveUser and resolveCommitAuthor use the alias file regardless of case', function() {
+    var identities = identity.createIdentities({"Jane": ["JDOE"], "Someone": ["someone@example.com"]}, [REPO]);
+
+    assert.strictEqual(identity.resolveUser(identities, {id: "U_1", login: "jdoe-old"}), "Jane");
+    assert.strictEqual(identity.resolveCommitAuthor(identities, REPO.repository.defaultBranchRef.target.history.nodes[0].authors.nodes[1]), "Someone");
+});
+
+test('resolveCommitAuthor identifies authors who aren\'t linked to a GitHub user by their email', function() {
+    var identities = identity.createIdentities(undefined, [REPO]);
+    var commitAuthors = REPO.repository.defaultBranchRef.target.history.nodes[0].authors.nodes;
+
+    assert.strictEqual(identity.resolveCommitAuthor(identities, commitAuthors[0]), "jdoe");
+    assert.strictEqual(identity.resolveCommitAuthor(identities, commitAuthors[1]), "someone@example.com");
+});
+
+test('resolveLogin matches an old login to the user who had it', function() {
+    var identities = identity.createIdentities(undefined, [REPO]);
+
+    assert.strictEqual(identity.resolveLogin(identities, "JDOE-OLD"), "jdoe");
+    assert.strictEqual(identity.resolveLogin(identities, "unknown"), "unknown");
+});
+
+test('createRoster resolves the logins of the members and teams like authors', function() {
+    var identities = identity.createIdentities({"Jane": ["jdoe"]}, [REPO]);
+    var teamRoster = roster.createRoster({members: [{login: "jdoe-old", from: "2019-01-01", to: "2019-12-31"}], teams: []}, [{id: "U_2", login: "asmith"}], identities);
+
+    assert.strictEqual(roster.getSource(teamRoster, "Jane"), roster.SOURCES.roster);
+    assert.strictEqual(roster.getSource(teamRoster, "asmith"), roster.SOURCES.team);
+    assert.strictEqual(roster.getSource(teamRoster, "someone-else"), roster.SOURCES.association);
+});
+
+test('isInternalOn uses the dates of the members and includes their last day', function() {
+    var identities = identity.createIdentities(undefined, [REPO]);
+    var teamRoster = roster.createRoster({members: [{login: "jdoe", from: "2019-01-01", to: "2019-12-31"}], teams: []}, [{id: "U_2", login: "asmith"}], identities);
+
+    assert.strictEqual(roster.isInternalOn(teamRoster, "jdoe", "2018-12-31T23:59:59Z"), false);
+    assert.strictEqual(roster.isInternalOn(teamRoster, "jdoe", "2019-12-31T23:59:59Z"), true);
+    assert.strictEqual(roster.isInternalOn(teamRoster, "jdoe", "2020-01-01T00:00:00Z"), false);
+    assert.strictEqual(roster.isInternalOn(teamRoster, "asmith", "2010-01-01T00:00:00Z"), true);
+    assert.strictEqual(roster.isInternalOn(teamRoster, "someone-else", "2019-06-01T00:00:00Z"), undefined);
+    assert.strictEqual(roster.isInternalOn(undefined, "jdoe", "2019-06-01T00:00:00Z"), undefined);
+});
@@ -0,0 +1,83 @@
+/**
+ * Tests for the contributor leaderboard (leaderboard.buildLeaderboard),
+ * from the TOTAL row of a made up report.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Import the function being tested, and the contributor deleted users are counted under
+var leaderboard = require('../leaderboard.js');
+var identity = require('../identity.js');
+
+/**
+ * Makes the activity of a contributor with only the counts that are ranked.
+ *
+ * @param {Number} issuesOpened issues the contributor opened
+ * @param {Number} commits commits the contributor authored
+ * @param {Boolean} external did they contribute as an external contributor?
+ *
+ * @return {JSON} the activity (see metrics.contributorActivity)
+ */
+function activity(issuesOpened, commits, external) {
+    return {
+        issuesOpened: issuesOpened,
+        pullRequestsOpened: 0,
+        pullRequestsMerged: 0,
+        commits: commits,
+        repos: 1,
+        internal: !external,
+        external: external,
+        firstActivity: "2020-01-02T00:00:00Z",
+        lastActivity: "2020-01-20T00:00:00Z"
+    };
+}
+
+// TOTAL row in which several deleted accounts were more active than anyone else
+const TOTAL = {
+    contributorActivityThisPeriod: {
+        [identity.GHOST]: activity(9, 0, true),
+        alice: activity(1, 2, false),
+        bob: activity(4, 0, true)
+    },
+    contributorActivityAllTime: {
+        [identity.GHOST]: activity(30, 0, true),
+        alice: activity(5, 9, false),
+        bob: activity(4, 0, true),
+        carol: activity(2, 0, true)
+    },
+    contributorClassifications: {
+        [identity.GHOST]: "association",
+        alice: "roster",
+        bob: "association",
+        carol: "association"
+    }
+};
+
+test('buildLeaderboard ranks the contributors by their activity during the time period and then of all time', function() {
+    var rows = leaderboard.buildLeaderboard(TOTAL).rows;
+
+    assert.deepStrictEqual(rows.slice(0, 3).map(row => [row.rank, row.contributor, row.external, row.classifiedBy]), [
+        [1, "bob", true, "association"],
+        [2, "alice", false, "roster"],
+        [3, "carol", true, "association"]
+    ]);
+    assert.strictEqual(rows[0].issuesOpenedThisPeriod, 4);
+    assert.strictEqual(rows[2].issuesOpenedThisPeriod, 0);
+    assert.strictEqual(rows[2].firstActivityThisPeriod, undefined);
+    assert.strictEqual(rows[2].firstActivityAllTime, "2020-1-2");
+});
+
+test('buildLeaderboard lists the deleted accounts on a last row that isn\'t ranked or external', function() {
+    var rows = leaderboard.buildLeaderboard(TOTAL).rows;
+    var deletedAccounts = rows[rows.length - 1];
+
+    assert.strictEqual(rows.length, 4);
+    assert.ok(rows.every(row => row.contributor !== identity.GHOST));
+    assert.strictEqual(deletedAccounts.contributor, "Deleted accounts");
+    assert.strictEqual(deletedAccounts.rank, undefined);
+    assert.strictEqual(deletedAccounts.internal, false);
+    assert.strictEqual(deletedAccounts.external, false);
+    assert.strictEqual(deletedAccounts.issuesOpenedThisPeriod, 9);
+    assert.strictEqual(deletedAccounts.issuesOpenedAllTime, 30);
+});
@@ -0,0 +1,147 @@
+/**
+ * Tests for the metrics of a repo (metrics.js) that classify contributors
+ * as internal or external, and for computing only the period or all time
+ * metrics, computed from the raw data of a made up repo.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Import the functions being tested
+var metrics = require('../metrics.js');
+var identity = require('../identity.js');
+var roster = require('../roster.js');
+
+/**
+ * Makes an issue with only the fields the metrics use.
+ *
+ * @param {String} login login of the author
+ * @param {String} authorAssociation how the author is associated with the repo
+ * @param {String} createdAt when the issue was opened
+ * @param {Array} responseItems comments, labels and assignments of the issue
+ *
+ * @return {JSON} the issue
+ */
+function issue(login, authorAssociation, createdAt, responseItems) {
+    return {
+        author: {id: "U_" + login, login: login},
+        authorAssociation: authorAssociation,
+        createdAt: createdAt,
+        updatedAt: createdAt,
+        state: "OPEN",
+        closedAt: null,
+        labels: {nodes: []},
+        timelineItems: {nodes: []},
+        responseItems: {nodes: responseItems || []}
+    };
+}
+
+/**
+ * Makes a label added to an issue.
+ *
+ * @param {String} login login of the person who added it
+ * @param {String} createdAt when it was added
+ *
+ * @return {JSON} the timeline item of the label
+ */
+function labeledEvent(login, createdAt) {
+    return {__typename: "LabeledEvent", createdAt: createdAt, actor: {__typename: "User", login: login}};
+}
+
+/**
+ * Makes the raw data of a repo in which a member and an outside contributor
+ * opened issues, and two people who never opened one made commits.
+ *
+ * @param {Array} issues issues of the repo
+ *
+ * @return {JSON} raw data of the repo
+ */
+function makeRepo(issues) {
+    return {
+        repository: {
+            name: "repo",
+            issues: {totalCount: issues.length, nodes: issues},
+            pullRequests: {totalCount: 0, nodes: []},
+            defaultBranchRef: {target: {history: {nodes: [
+                {committedDate: "2020-01-10T00:00:00Z", additions: 1, deletions: 0, authors: {nodes: [{name: "Committer", email: "c@example.com", user: {id: "U_committer", login: "committer"}}]}},
+                {committedDate: "2020-01-12T00:00:00Z", additions: 1, deletions: 0, authors: {nodes: [{name: "Staffer", email: "s@example.com", user: {id: "U_staffer", login: "staffer"}}]}}
+            ]}}},
+            stargazers: {totalCount: 0},
+            forks: {totalCount: 0},
+            watchers: {totalCount: 0}
+        }
+    };
+}
+
+/**
+ * Computes the metrics of a repo for January 2020.
+ *
+ * @param {JSON} repo raw data of the repo
+ * @param {JSON} rosterFile members and teams of the roster, or undefined if there is none
+ * @param {String} scope only compute the metrics for "allTime" or for the "period" (optional)
+ *
+ * @return {JSON} the metrics (and the Sets and lists behind them)
+ */
+function computeJanuaryMetrics(repo, rosterFile, scope) {
+    var identities = identity.createIdentities(undefined, [repo]);
+    var teamRoster = rosterFile ? roster.createRoster(rosterFile, [], identities) : undefined;
+    var options = Object.assign({asOf: new Date("2020-02-01T00:00:00Z")}, metrics.DEFAULT_OPTIONS);
+    var context = metrics.createContext(repo, new Date("2020-01-01T00:00:00Z"), new Date("2020-02-01T00:00:00Z"), options, identities, teamRoster);
+    return metrics.computeMetrics(context, scope);
+}
+
+const ISSUES = [
+    issue("member", "MEMBER", "2020-01-02T00:00:00Z"),
+    issue("outsider", "NONE", "2020-01-03T00:00:00Z")
+];
+
+test('commit contributors who aren\'t in the roster are unclassified', function() {
+    var values = computeJanuaryMetrics(makeRepo(ISSUES));
+
+    assert.deepStrictEqual(Array.from(values.contributorsListAllTimeInternal), ["member"]);
+    assert.deepStrictEqual(Array.from(values.contributorsListAllTimeExternal), ["outsider"]);
+    assert.deepStrictEqual(Array.from(values.contributorsListAllTimeUnclassified).sort(), ["committer", "staffer"]);
+    assert.strictEqual(values.contributorsAllTimeInternal + values.contributorsAllTimeExternal + values.contributorsAllTimeUnclassified, values.contributorsAllTime);
+    assert.strictEqual(values.contributorClassifications.committer, roster.SOURCES.unclassified);
+});
+
+test('commit contributors in the roster are classified on the date of their commits', function() {
+    var values = computeJanuaryMetrics(makeRepo(ISSUES), {members: [{login: "staffer", from: "2020-01-11"}], teams: []});
+
+    assert.deepStrictEqual(Array.from(values.contributorsListThisPeriodInternal).sort(), ["member", "staffer"]);
+    assert.deepStrictEqual(Array.from(values.contributorsListThisPeriodUnclassified), ["committer"]);
+    assert.strictEqual(values.contributorsThisPeriodInternal + values.contributorsThisPeriodExternal + values.contributorsThisPeriodUnclassified, values.contributorsThisPeriod);
+    assert.strictEqual(values.contributorClassifications.staffer, roster.SOURCES.roster);
+});
+
+test('unclassified contributors are left out of the TOTAL row if another repo classifies them', function() {
+    var repoValues = computeJanuaryMetrics(makeRepo(ISSUES));
+    var otherRepoValues = computeJanuaryMetrics(makeRepo([issue("committer", "CONTRIBUTOR", "2020-01-04T00:00:00Z")]));
+    var total = metrics.aggregateMetrics([repoValues, otherRepoValues]);
+
+    assert.deepStrictEqual(Array.from(total.contributorsListAllTimeUnclassified), ["staffer"]);
+    assert.strictEqual(total.contributorClassifications.committer, roster.SOURCES.association);
+});
+
+test('labels only count as a first response when the person who added them is internal', function() {
+    var labeledByMember = issue("outsider", "NONE", "2020-01-03T00:00:00Z", [labeledEvent("member", "2020-01-03T02:00:00Z")]);
+    var labeledByOutsider = issue("other", "NONE", "2020-01-05T00:00:00Z", [labeledEvent("outsider", "2020-01-05T01:00:00Z")]);
+    var values = computeJanuaryMetrics(makeRepo([issue("member", "MEMBER", "2020-01-02T00:00:00Z"), labeledByMember, labeledByOutsider]));
+
+    assert.deepStrictEqual(values.firstResponseTimes, [2]);
+});
+
+test('the period and all time metrics can be computed and aggregated separately', function() {
+    var repo = makeRepo(ISSUES);
+    var periodValues = computeJanuaryMetrics(repo, undefined, 'period');
+    var allTimeValues = computeJanuaryMetrics(repo, undefined, 'allTime');
+
+    // Each metric is in exactly one of the scopes, so together they are all of the metrics
+    assert.ok(Object.keys(periodValues).every(id => !(id in allTimeValues)));
+    assert.deepStrictEqual(Object.assign({}, allTimeValues, periodValues), computeJanuaryMetrics(repo));
+    assert.ok('contributorsThisPeriod' in periodValues && !('contributorsAllTime' in periodValues));
+
+    var total = metrics.aggregateMetrics([periodValues], metrics.DEFAULT_OPTIONS.labelGroups, 'period');
+    assert.deepStrictEqual(Object.keys(total), Object.keys(periodValues));
+    assert.strictEqual(total.contributorsThisPeriod, periodValues.contributorsThisPeriod);
+});
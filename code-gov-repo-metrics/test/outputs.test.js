@@ -0,0 +1,62 @@
+/**
+ * Tests for writing the report files (outputs.js) into a temporary
+ * folder, from a made up report.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Import the function being tested, and the funnel written with the report
+var outputs = require('../outputs.js');
+var funnel = require('../funnel.js');
+
+/**
+ * Makes a report with only a TOTAL row and a contributor funnel over
+ * two months, to be written into a folder.
+ *
+ * @param {String} outputDir folder to write the report files to
+ *
+ * @return {JSON} the report (see outputs.writeReports)
+ */
+function makeReport(outputDir) {
+    var periodRows = [
+        {period: "2024-01", periodStart: "2024-01-01", periodEnd: "2024-01-31", contributorsListThisPeriodExternal: new Set(["a", "b"]), contributorsListThisPeriodFirstTimeContributor: new Set()},
+        {period: "2024-02", periodStart: "2024-02-01", periodEnd: "2024-02-29", contributorsListThisPeriodExternal: new Set(["a"]), contributorsListThisPeriodFirstTimeContributor: new Set()}
+    ];
+    return {
+        rows: [{owner: "TOTAL", repo: "TOTAL", openedIssues: 3}],
+        granularity: "month",
+        funnel: funnel.buildFunnel(periodRows, new Set(), "month"),
+        metadata: {startDate: "2024-01-01", endDate: "2024-03-01"},
+        outputDir: outputDir,
+        getFilePath: (extension, suffix) => path.join(outputDir, "report" + (suffix ? " | " + suffix : "") + "." + extension)
+    };
+}
+
+/**
+ * Reads the lines of an .ndjson report.
+ *
+ * @param {String} filePath path of the report
+ *
+ * @return {Array} the object on each line
+ */
+function readLines(filePath) {
+    return fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+test('the .ndjson funnel report has the funnel rows and then the cohort rows, each with its type', async function() {
+    var outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reports-'));
+    try {
+        await outputs.writeReports(makeReport(outputDir), ['ndjson']);
+        var lines = readLines(path.join(outputDir, "report | funnel by month.ndjson"));
+
+        assert.deepStrictEqual(lines.map(line => line.type + " " + (line.period || line.cohort)), ["funnel 2024-01", "funnel 2024-02", "funnel TOTAL", "cohort 2024-01", "cohort 2024-02"]);
+        assert.deepStrictEqual(lines[3], {type: "cohort", startDate: "2024-01-01", endDate: "2024-03-01", cohort: "2024-01", newContributors: 2, retained1: "50%"});
+        assert.deepStrictEqual(readLines(path.join(outputDir, "report.ndjson")), [{startDate: "2024-01-01", endDate: "2024-03-01", owner: "TOTAL", repo: "TOTAL", openedIssues: 3}]);
+    } finally {
+        fs.rmSync(outputDir, {recursive: true, force: true});
+    }
+});
@@ -0,0 +1,92 @@
+/**
+ * Tests for the time period helpers: whether a date is in a time period
+ * (utils.isInPeriod), splitting a time period into weeks, months or
+ * quarters (periods.splitPeriod) and resolving period expressions
+ * (periods.resolvePeriod).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Import the functions being tested
+var utils = require('../utils.js');
+var periods = require('../periods.js');
+
+/**
+ * Makes a Date for midnight UTC on a day.
+ *
+ * @param {String} dateString date in the format YYYY-MM-DD
+ *
+ * @return {Date} midnight UTC on that day
+ */
+function day(dateString) {
+    return new Date(dateString + "T00:00:00Z");
+}
+
+/**
+ * Formats the buckets of a time period so they can be compared.
+ *
+ * @param {Array} buckets list of buckets with their start, end and label (see periods.splitPeriod)
+ *
+ * @return {Array} list of [label, start, end] lists with the dates in the format YYYY-MM-DD
+ */
+function describeBuckets(buckets) {
+    return buckets.map(bucket => [bucket.label, bucket.start.toISOString().slice(0, 10), bucket.end.toISOString().slice(0, 10)]);
+}
+
+test('isInPeriod includes the start of the time period but not the end', function() {
+    var start = day("2020-01-01");
+    var end = day("2020-02-01");
+
+    assert.strictEqual(utils.isInPeriod(day("2020-01-01"), start, end), true);
+    assert.strictEqual(utils.isInPeriod(new Date("2020-01-31T23:59:59Z"), start, end), true);
+    assert.strictEqual(utils.isInPeriod(day("2020-02-01"), start, end), false);
+    assert.strictEqual(utils.isInPeriod(new Date("2019-12-31T23:59:59Z"), start, end), false);
+});
+
+test('splitPeriod cuts the first and last months off at the time period but keeps their labels', function() {
+    assert.deepStrictEqual(describeBuckets(periods.splitPeriod(day("2024-06-15"), day("2024-08-10"), "month")), [
+        ["2024-06", "2024-06-15", "2024-07-01"],
+        ["2024-07", "2024-07-01", "2024-08-01"],
+        ["2024-08", "2024-08-01", "2024-08-10"]
+    ]);
+});
+
+test('splitPeriod starts weeks on Monday', function() {
+    // 2024-07-03 is a Wednesday
+    assert.deepStrictEqual(describeBuckets(periods.splitPeriod(day("2024-07-03"), day("2024-07-17"), "week")), [
+        ["2024-07-01", "2024-07-03", "2024-07-08"],
+        ["2024-07-08", "2024-07-08", "2024-07-15"],
+        ["2024-07-15", "2024-07-15", "2024-07-17"]
+    ]);
+});
+
+test('splitPeriod splits a fiscal year into calendar quarters', function() {
+    assert.deepStrictEqual(describeBuckets(periods.splitPeriod(day("2024-10-01"), day("2025-10-01"), "quarter")), [
+        ["2024-Q4", "2024-10-01", "2025-01-01"],
+        ["2025-Q1", "2025-01-01", "2025-04-01"],
+        ["2025-Q2", "2025-04-01", "2025-07-01"],
+        ["2025-Q3", "2025-07-01", "2025-10-01"]
+    ]);
+});
+
+test('the buckets of splitPeriod cover the time period without overlapping', function() {
+    var start = day("2023-12-29");
+    var end = day("2024-03-05");
+    var buckets = periods.splitPeriod(start, end, "week");
+
+    assert.strictEqual(buckets[0].start.getTime(), start.getTime());
+    assert.strictEqual(buckets[buckets.length - 1].end.getTime(), end.getTime());
+    buckets.slice(1).forEach((bucket, index) => assert.strictEqual(bucket.start.getTime(), buckets[index].end.getTime()));
+});
+
+test('splitPeriod returns no buckets for an empty time period', function() {
+    assert.deepStrictEqual(periods.splitPeriod(day("2024-01-01"), day("2024-01-01"), "month"), []);
+});
+
+test('resolvePeriod resolves quarters, fiscal years and relative periods', function() {
+    assert.deepStrictEqual(describeBuckets([periods.resolvePeriod("2024-Q3")]), [["2024-Q3", "2024-07-01", "2024-10-01"]]);
+    assert.deepStrictEqual(describeBuckets([periods.resolvePeriod("FY2025")]), [["FY2025", "2024-10-01", "2025-10-01"]]);
+    assert.deepStrictEqual(describeBuckets([periods.resolvePeriod("last-month", new Date("2024-03-15T12:00:00Z"))]), [["2024-02", "2024-02-01", "2024-03-01"]]);
+    assert.strictEqual(periods.resolvePeriod("next-month"), null);
+});
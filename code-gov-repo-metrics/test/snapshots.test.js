@@ -0,0 +1,74 @@
+/**
+ * Tests for the snapshot store (snapshots.js): writing the raw data of
+ * repos into a temporary folder and reading it back.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Import the functions being tested
+var snapshots = require('../snapshots.js');
+
+/**
+ * Makes the raw data of a repo with only its name.
+ *
+ * @param {String} name name of the repo
+ *
+ * @return {JSON} raw data of the repo
+ */
+function repo(name) {
+    return {repository: {name: name}};
+}
+
+/**
+ * Runs a test in a temporary snapshots folder that is removed afterwards.
+ *
+ * @param {Function} callback test to run with the path of the folder
+ */
+function withSnapshotsDir(callback) {
+    var snapshotsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'));
+    try {
+        callback(snapshotsDir);
+    } finally {
+        fs.rmSync(snapshotsDir, {recursive: true, force: true});
+    }
+}
+
+const OWNERS = [{owner: "GSA", repoList: ["code-gov", "missing"]}, {owner: "18F", repoList: ["site"]}];
+
+test('a snapshot can be read back, without the repos that have no data', function() {
+    withSnapshotsDir(function(snapshotsDir) {
+        var createdAt = new Date("2020-03-01T12:00:00Z");
+        var snapshotDir = snapshots.writeSnapshot(snapshotsDir, OWNERS, [[repo("code-gov"), null], [repo("site")]], createdAt);
+        var manifest = snapshots.readManifest(snapshotDir);
+
+        assert.strictEqual(snapshotDir, path.join(snapshotsDir, "2020-03-01"));
+        assert.strictEqual(snapshots.resolveSnapshotDir(snapshotsDir, "latest"), snapshotDir);
+        assert.strictEqual(manifest.createdAt.toISOString(), createdAt.toISOString());
+        assert.deepStrictEqual(manifest.owners, [{owner: "GSA", repoList: ["code-gov"]}, {owner: "18F", repoList: ["site"]}]);
+        assert.deepStrictEqual(snapshots.readRepo(snapshotDir, "GSA", "code-gov"), repo("code-gov"));
+        assert.strictEqual(snapshots.hasRepo(snapshotDir, "GSA", "missing"), false);
+        assert.throws(() => snapshots.readRepo(snapshotDir, "GSA", "missing"));
+    });
+});
+
+test('a second snapshot on the same date keeps the repos that weren\'t saved again and when they were fetched', function() {
+    withSnapshotsDir(function(snapshotsDir) {
+        snapshots.writeSnapshot(snapshotsDir, OWNERS, [[repo("code-gov"), null], [repo("site")]], new Date("2020-03-01T12:00:00Z"));
+        var snapshotDir = snapshots.writeSnapshot(snapshotsDir, [OWNERS[0]], [[repo("code-gov"), repo("missing")]], new Date("2020-03-01T18:00:00Z"));
+        var manifest = snapshots.readManifest(snapshotDir);
+
+        assert.deepStrictEqual(manifest.owners, [{owner: "GSA", repoList: ["code-gov", "missing"]}, {owner: "18F", repoList: ["site"]}]);
+        assert.strictEqual(snapshots.getFetchedAt(manifest, "GSA", "code-gov").toISOString(), "2020-03-01T18:00:00.000Z");
+        assert.strictEqual(snapshots.getFetchedAt(manifest, "18F", "site").toISOString(), "2020-03-01T12:00:00.000Z");
+    });
+});
+
+test('getFetchedAt falls back on when an older snapshot without fetch times was created', function() {
+    var manifest = {createdAt: new Date("2019-07-09T00:00:00Z"), owners: [], fetchedAt: {}};
+
+    assert.strictEqual(snapshots.getFetchedAt(manifest, "GSA", "code-gov").toISOString(), "2019-07-09T00:00:00.000Z");
+});
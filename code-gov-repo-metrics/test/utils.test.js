@@ -0,0 +1,60 @@
+/**
+ * Tests for merging the updates since a previous snapshot into its
+ * history and for removing duplicate repos from the config (utils.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Import the functions being tested
+var utils = require('../utils.js');
+
+/**
+ * Makes a commit with only the fields used to merge commits.
+ *
+ * @param {String} oid id of the commit
+ * @param {String} committedDate when the commit was committed
+ *
+ * @return {JSON} the commit
+ */
+function commit(oid, committedDate) {
+    return {oid: oid, committedDate: committedDate};
+}
+
+/**
+ * Filters commits like the history of the default branch does when
+ * it's queried since a date.
+ *
+ * @param {Array} commits commits of the default branch
+ * @param {Date} since date to filter the commits by
+ *
+ * @return {Array} the commits committed since the date
+ */
+function historySince(commits, since) {
+    return commits.filter(commit => new Date(commit.committedDate) >= since);
+}
+
+test('commits merged after the last fetch with an earlier date aren\'t lost', function() {
+    var fetchedAt = new Date("2020-03-01T00:00:00Z");
+    var previousCommits = [commit("b", "2020-02-20T00:00:00Z"), commit("a", "2020-02-01T00:00:00Z")];
+
+    // "backdated" was committed on a branch before the last fetch and only merged after it
+    var branch = [commit("new", "2020-03-05T00:00:00Z"), commit("b", "2020-02-20T00:00:00Z"), commit("backdated", "2020-02-15T00:00:00Z"), commit("a", "2020-02-01T00:00:00Z")];
+    var merged = utils.mergeCommits(previousCommits, historySince(branch, utils.getCommitsSince(fetchedAt)));
+
+    assert.deepStrictEqual(merged.map(commit => commit.oid), ["new", "b", "backdated", "a"]);
+});
+
+test('mergeNodes replaces the nodes that were updated', function() {
+    var previousNodes = [{id: "1", createdAt: "2020-01-01T00:00:00Z", state: "OPEN"}, {id: "2", createdAt: "2020-01-02T00:00:00Z", state: "OPEN"}];
+    var merged = utils.mergeNodes(previousNodes, [{id: "3", createdAt: "2020-01-03T00:00:00Z", state: "OPEN"}, {id: "1", createdAt: "2020-01-01T00:00:00Z", state: "CLOSED"}]);
+
+    assert.deepStrictEqual(merged.map(node => node.id + " " + node.state), ["1 CLOSED", "2 OPEN", "3 OPEN"]);
+});
+
+test('uniqueRepoLists only keeps the first occurrence of each repo, in any case', function() {
+    var owners = [{owner: "GSA", repoList: []}, {owner: "18F", repoList: []}, {owner: "gsa", repoList: []}];
+    var repoLists = [["code-gov", "Code-Gov", "code-gov-api"], ["code-gov"], ["CODE-GOV", "other"]];
+
+    assert.deepStrictEqual(utils.uniqueRepoLists(owners, repoLists), [["code-gov", "code-gov-api"], ["code-gov"], ["other"]]);
+});
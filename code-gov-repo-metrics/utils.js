@@ -11,6 +11,17 @@ function millisecondsToDays(milliseconds) {
     return milliseconds / 1000 / 60 / 60 / 24;
 }
 
+/**
+ * Converts milliseconds to hours.
+ * 
+ * @param {Number} milliseconds milliseconds to convert to hours
+ *
+ * @return {Number} hours
+ */
+function millisecondsToHours(milliseconds) {
+    return milliseconds / 1000 / 60 / 60;
+}
+
 /**
  * Converts a decimal to a percent.
  * 
@@ -49,6 +60,52 @@ function averageList(list) {
     return Math.round(sumList(list) / list.length);
 }
 
+/**
+ * Calculates a percentile of the contents of a list, interpolating
+ * between the closest values (e.g. 50 is the median and 100 is the max).
+ * 
+ * @param {Array} list list of numbers
+ * @param {Number} percentile percentile to calculate, from 0 to 100
+ *
+ * @return {Number} percentile of the list
+ */
+function percentileList(list, percentile) {
+    if (list.length == 0) {
+        return "N/A";
+    }
+    var sortedList = list.slice().sort((a, b) => a - b);
+    var rank = (sortedList.length - 1) * percentile / 100;
+    var lower = Math.floor(rank);
+    var upper = Math.ceil(rank);
+    return Math.round(sortedList[lower] + (sortedList[upper] - sortedList[lower]) * (rank - lower));
+}
+
+/**
+ * Counts how many times each item is in a list.
+ * 
+ * @param {Array} list list of strings to count
+ *
+ * @return {JSON} the count of each item, by item
+ */
+function countList(list) {
+    var counts = {};
+    list.forEach(item => {counts[item] = (counts[item] || 0) + 1});
+    return counts;
+}
+
+/**
+ * Adds up several counts of items into one.
+ * 
+ * @param {Array} countsList list of counts of items (see countList)
+ *
+ * @return {JSON} the total count of each item, by item
+ */
+function sumCounts(countsList) {
+    var total = {};
+    countsList.forEach(counts => Object.keys(counts).forEach(item => {total[item] = (total[item] || 0) + counts[item]}));
+    return total;
+}
+
 /**
  * Concatenates a list of lists into one shallow list.
  * 
@@ -57,7 +114,18 @@ function averageList(list) {
  * @return {Array} concatenated, shallow list
  */
 function concatenateLists(lists) {
-    return lists.reduce((list1, list2) => list1.concat(list2));
+    return lists.reduce((list1, list2) => list1.concat(list2), []);
+}
+
+/**
+ * Removes duplicate items from a list, keeping the first occurrence.
+ * 
+ * @param {Array} list list to de-duplicate
+ *
+ * @return {Array} list without duplicates
+ */
+function uniqueList(list) {
+    return Array.from(new Set(list));
 }
 
 // SET UTILS
@@ -93,20 +161,33 @@ function unionSets(...iterables) {
  * @return {Number} size of the union of the argument sets
  */
 function unionSetSize(sets) {
-    return sets.reduce((set1, set2) => unionSets(set1, set2)).size;
+    return unionSets(...sets).size;
+}
+
+/**
+ * Calculates the items of a Set that aren't in any of a group of other Sets.
+ * 
+ * @param {Set} set Set to take the items from
+ * @param {Sets} iterables Sets of the items to leave out (as individual arguments)
+ *
+ * @return {Set} difference of the Set and the other Sets
+ */
+function differenceSets(set, ...iterables) {
+    const excluded = unionSets(...iterables);
+    return new Set(Array.from(set).filter(item => !excluded.has(item)));
 }
 
 // DATE UTILS 
 
 /**
- * Format a Date object as a string in the format YYYY-MM-DD
+ * Format a Date object as a string in the format YYYY-MM-DD (in UTC)
  * 
  * @param {Date} date Date to convert to a string
  *
  * @return {String} date as String in format YYYY-MM-DD 
  */
 function formatDate(date) {
-    return date.getFullYear() + "-" + (date.getMonth() + 1) + "-" + date.getDate();
+    return date.getUTCFullYear() + "-" + (date.getUTCMonth() + 1) + "-" + date.getUTCDate();
 }
 
 /**
@@ -136,6 +217,22 @@ function isValidDate(date) {
     return date instanceof Date && !isNaN(date);
 }
 
+/**
+ * Determines if a date falls within a time period.
+ *
+ * The start of the period is included and the end is not, so that 
+ * consecutive periods don't overlap.
+ * 
+ * @param {Date} date date to check
+ * @param {Date} startDate start of the time period
+ * @param {Date} endDate end of the time period
+ *
+ * @return {Boolean} is date within the time period?
+ */
+function isInPeriod(date, startDate, endDate) {
+    return date >= startDate && date < endDate;
+}
+
 // GITHUB UTILS 
 
 /**
@@ -193,6 +290,100 @@ function getPullRequestCount(repo) {
     return repo.repository.pullRequests.totalCount;
 }
 
+/**
+ * Gets the commit history of the default branch of a repository.
+ * 
+ * @param {JSON} repo repository data from Github API
+ *
+ * @return {JSON} the commit history (nodes, totalCount and pageInfo), or null if the repo is empty
+ */
+function getCommitHistory(repo) {
+    var defaultBranchRef = repo.repository.defaultBranchRef;
+    return defaultBranchRef ? defaultBranchRef.target.history : null;
+}
+
+/**
+ * Determines if an issue or pull request was updated since a date.
+ * 
+ * @param {JSON} node issue or pull request data from GitHub API
+ * @param {Date} since date to compare against
+ *
+ * @return {Boolean} was node updated at or after since?
+ */
+function isUpdatedSince(node, since) {
+    return new Date(node.updatedAt) >= since;
+}
+
+/**
+ * Merges updated issues or pull requests into a previous list of them.
+ * 
+ * Nodes are matched by id, with the updated node replacing the previous
+ * one. The merged list is sorted by when each node was created.
+ * 
+ * @param {Array} previousNodes issues or pull requests from a previous snapshot
+ * @param {Array} updatedNodes issues or pull requests that were updated since then
+ *
+ * @return {Array} merged list of issues or pull requests
+ */
+function mergeNodes(previousNodes, updatedNodes) {
+    var nodesById = new Map();
+    previousNodes.concat(updatedNodes).forEach(node => nodesById.set(node.id, node));
+    return Array.from(nodesById.values()).sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+/**
+ * Merges new commits into a previous list of them.
+ * 
+ * Commits are matched by oid. The merged list is sorted by when
+ * each commit was committed, most recent first (like the history).
+ * 
+ * @param {Array} previousCommits commits from a previous snapshot
+ * @param {Array} newCommits commits that were committed since then
+ *
+ * @return {Array} merged list of commits
+ */
+function mergeCommits(previousCommits, newCommits) {
+    var commitsByOid = new Map();
+    previousCommits.concat(newCommits).forEach(commit => commitsByOid.set(commit.oid, commit));
+    return Array.from(commitsByOid.values()).sort((a, b) => new Date(b.committedDate) - new Date(a.committedDate));
+}
+
+// Days before the last fetch to query commits again from, to catch commits that were merged since then with an earlier date
+const COMMITS_SINCE_MARGIN_DAYS = 30;
+
+/**
+ * Calculates the date to query the commits of a repository from when
+ * updating a previous snapshot. The history can only be filtered by
+ * when commits were committed, and commits (e.g. from a long-lived branch)
+ * can be merged after they were committed, so the commits from a margin
+ * before the last fetch are queried again and merged with mergeCommits.
+ * 
+ * @param {Date} fetchedAt when the repository was last fetched
+ *
+ * @return {Date} the date to query commits since
+ */
+function getCommitsSince(fetchedAt) {
+    return new Date(fetchedAt.getTime() - COMMITS_SINCE_MARGIN_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Determines if updates can be merged into a repository's data from
+ * a previous snapshot, which requires every issue and pull request to 
+ * have an id and the timeline items used for the time to first response,
+ * every issue to have its labels, every pull request to have its reviews
+ * and the repository to have its commit history (older snapshots don't).
+ * 
+ * @param {JSON} repo repository data from a snapshot
+ *
+ * @return {Boolean} can updates be merged into repo?
+ */
+function canMergeRepoData(repo) {
+    var canMerge = node => Boolean(node.id && node.responseItems);
+    return repo.repository.defaultBranchRef !== undefined &&
+        repo.repository.issues.nodes.every(issue => canMerge(issue) && Boolean(issue.labels)) &&
+        repo.repository.pullRequests.nodes.every(pullRequest => canMerge(pullRequest) && Boolean(pullRequest.reviews));
+}
+
 /**
  * Determines if an authorAssociation indicates the author is internal
  * 
@@ -241,34 +432,229 @@ function authorIsFirstTimeContributor(authorAssociation) {
     return authorAssociation === "FIRST_TIMER" || authorAssociation === "FIRST_TIME_CONTRIBUTOR";
 }
 
+/**
+ * Determines if a repository name matches a glob pattern.
+ * 
+ * Supports the * (any characters) and ? (one character) wildcards.
+ * Matching is case insensitive, like GitHub repository names.
+ * 
+ * @param {String} name repository name
+ * @param {String} pattern glob pattern (e.g. "carma-*")
+ *
+ * @return {Boolean} does name match pattern?
+ */
+function matchesGlob(name, pattern) {
+    var regex = pattern.split("").map(function(character) {
+        if (character === "*") {
+            return ".*";
+        }
+        if (character === "?") {
+            return ".";
+        }
+        return character.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }).join("");
+    return new RegExp("^" + regex + "$", "i").test(name);
+}
+
+/**
+ * Filters a list of repositories discovered for an owner
+ * according to that owner's config.
+ * 
+ * Archived repos, forks and private repos are left out unless
+ * includeArchived, includeForks or includePrivate are set. If include
+ * patterns are given, a repo must match at least one of them, and it
+ * must not match any of the exclude patterns.
+ * 
+ * @param {Array} repositories repository nodes from GitHub API
+ * @param {JSON} ownerConfig an owner's entry from the config
+ *
+ * @return {Array} names of the repositories to include
+ */
+function filterRepositories(repositories, ownerConfig) {
+    var include = ownerConfig.include || [];
+    var exclude = ownerConfig.exclude || [];
+
+    return repositories.filter(function(repository) {
+        if (repository.isArchived && !ownerConfig.includeArchived) {
+            return false;
+        }
+        if (repository.isFork && !ownerConfig.includeForks) {
+            return false;
+        }
+        if (repository.isPrivate && !ownerConfig.includePrivate) {
+            return false;
+        }
+        if (include.length > 0 && !include.some(pattern => matchesGlob(repository.name, pattern))) {
+            return false;
+        }
+        return !exclude.some(pattern => matchesGlob(repository.name, pattern));
+    }).map(repository => repository.name);
+}
+
+// CONFIG UTILS
+
+/**
+ * Normalizes a config into a list of owners with their repo lists.
+ * 
+ * Supports both the multi-owner format ({"owners": [{"owner", "repoList"}]})
+ * and the original single-owner format ({"owner", "repoList"}). Instead of a
+ * repoList, an owner can set "discover" to query every repo it owns.
+ * 
+ * @param {JSON} config contents of config.json
+ *
+ * @return {Array} list of {owner, repoList} objects
+ */
+function getOwnerConfigs(config) {
+    var owners = config.owners ? config.owners : [config];
+
+    owners.forEach(function(ownerConfig) {
+        if (!ownerConfig.owner || (!Array.isArray(ownerConfig.repoList) && !ownerConfig.discover)) {
+            throw new Error("Invalid config - each owner needs an \"owner\" and either a \"repoList\" or \"discover\".");
+        }
+    });
+
+    return owners;
+}
+
+/**
+ * Narrows a config down to the owner and/or repos given on the command line.
+ * 
+ * If the owner is not listed in the config, all of its repos are discovered.
+ * 
+ * @param {JSON} config contents of the config file
+ * @param {String} owner owner to report on (optional)
+ * @param {Array} repoList repos to report on instead of the owner's repoList (optional)
+ *
+ * @return {JSON} config in the multi-owner format
+ */
+function overrideConfig(config, owner, repoList) {
+    var owners = getOwnerConfigs(config);
+
+    if (owner) {
+        var ownerConfig = owners.find(ownerConfig => ownerConfig.owner.toLowerCase() === owner.toLowerCase());
+        owners = [ownerConfig || {owner: owner, discover: true}];
+    }
+
+    if (repoList) {
+        if (owners.length > 1) {
+            throw new Error("Invalid inputs - please provide --owner along with --repos when the config lists more than one owner.");
+        }
+        owners = [{owner: owners[0].owner, repoList: repoList}];
+    }
+
+    return {owners: owners};
+}
+
+/**
+ * Removes the repos that were already listed from the repo lists of the
+ * owners, keeping the first occurrence. GitHub owner and repo names
+ * aren't case-sensitive, so repos are compared by their lower-cased
+ * "owner/repo" (e.g. "GSA/Code-Gov" is the same repo as "gsa/code-gov",
+ * even when it's listed under another entry for the owner).
+ * 
+ * @param {Array} owners list of {owner, repoList} objects
+ * @param {Array} repoLists names of the repos to query for each owner, in the same order
+ *
+ * @return {Array} the repo lists without duplicate repos
+ */
+function uniqueRepoLists(owners, repoLists) {
+    var listedRepos = new Set();
+    return repoLists.map(function(repoList, index) {
+        return repoList.filter(function(repoName) {
+            var key = (owners[index].owner + "/" + repoName).toLowerCase();
+            if (listedRepos.has(key)) {
+                return false;
+            }
+            listedRepos.add(key);
+            return true;
+        });
+    });
+}
+
+// REPORT UTILS
+
+/**
+ * Determines if a report row aggregates other rows (SUBTOTAL or TOTAL).
+ *
+ * @param {JSON} row report row
+ *
+ * @return {Boolean} is the row a subtotal or total?
+ */
+function isAggregateRow(row) {
+    return row.repo === "SUBTOTAL" || isTotalRow(row);
+}
+
+/**
+ * Determines if a report row is the TOTAL row across all repos.
+ *
+ * @param {JSON} row report row
+ *
+ * @return {Boolean} is the row the total?
+ */
+function isTotalRow(row) {
+    return row.owner === "ALL" && row.repo === "TOTAL";
+}
+
 // GENERAL UTILS 
 
+/**
+ * Waits for a number of milliseconds.
+ * 
+ * @param {Number} milliseconds how long to wait
+ *
+ * @return {Promise} resolves after the wait
+ */
+function sleep(milliseconds) {
+    return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
+
 /**
  * Logs an example of the correct format of command line arguments.
  */
 function logExampleCommandLineArguments() {
-    console.log("For example: node index.js 2018-12-01 2018-12-31");
+    console.log("For example: node index.js 2018-12-01 2018-12-31 or node index.js last-month");
 }
 
 // Export these utils functions so they can be used in index.js
 module.exports = { 
     millisecondsToDays,
+    millisecondsToHours,
     toPercent,
     sumList,
     averageList,
+    percentileList,
+    countList,
+    sumCounts,
     concatenateLists,
+    uniqueList,
     unionSets,
     unionSetSize,
+    differenceSets,
     formatDate,
     isValidDateString,
     isValidDate,
+    isInPeriod,
     getStarCount,
     getWatchCount,
     getForkCount,
     getIssueCount,
     getPullRequestCount,
+    getCommitHistory,
+    isUpdatedSince,
+    mergeNodes,
+    mergeCommits,
+    getCommitsSince,
+    canMergeRepoData,
     authorIsInternal,
     authorIsExternal,
     authorIsFirstTimeContributor,
+    matchesGlob,
+    filterRepositories,
+    getOwnerConfigs,
+    overrideConfig,
+    uniqueRepoLists,
+    isAggregateRow,
+    isTotalRow,
+    sleep,
     logExampleCommandLineArguments
 };
\ No newline at end of file